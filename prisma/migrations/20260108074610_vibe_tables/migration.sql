@@ -0,0 +1,78 @@
+-- CreateTable
+CREATE TABLE "Vibe" (
+    "id" TEXT NOT NULL,
+    "anonymousId" TEXT NOT NULL,
+    "userId" TEXT,
+    "latitude" DOUBLE PRECISION NOT NULL,
+    "longitude" DOUBLE PRECISION NOT NULL,
+    "geohash" TEXT NOT NULL,
+    "segmentId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Vibe_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "VibeCluster" (
+    "id" TEXT NOT NULL,
+    "segmentId" TEXT NOT NULL,
+    "latitude" DOUBLE PRECISION NOT NULL,
+    "longitude" DOUBLE PRECISION NOT NULL,
+    "geohash" TEXT NOT NULL,
+    "smoothCount" INTEGER NOT NULL DEFAULT 0,
+    "slowdownCount" INTEGER NOT NULL DEFAULT 0,
+    "heavyCount" INTEGER NOT NULL DEFAULT 0,
+    "deadlockCount" INTEGER NOT NULL DEFAULT 0,
+    "accidentCount" INTEGER NOT NULL DEFAULT 0,
+    "policeCount" INTEGER NOT NULL DEFAULT 0,
+    "hazardCount" INTEGER NOT NULL DEFAULT 0,
+    "totalCount" INTEGER NOT NULL DEFAULT 0,
+    "dominantVibe" TEXT NOT NULL DEFAULT 'smooth',
+    "lastUpdated" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "VibeCluster_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "VibeRateLimit" (
+    "id" TEXT NOT NULL,
+    "anonymousId" TEXT NOT NULL,
+    "lastVibeAt" TIMESTAMP(3) NOT NULL,
+    "vibeCount24h" INTEGER NOT NULL DEFAULT 1,
+    "resetAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "VibeRateLimit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Vibe_segmentId_expiresAt_idx" ON "Vibe"("segmentId", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "Vibe_geohash_idx" ON "Vibe"("geohash");
+
+-- CreateIndex
+CREATE INDEX "Vibe_anonymousId_createdAt_idx" ON "Vibe"("anonymousId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Vibe_expiresAt_idx" ON "Vibe"("expiresAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VibeCluster_segmentId_key" ON "VibeCluster"("segmentId");
+
+-- CreateIndex
+CREATE INDEX "VibeCluster_geohash_idx" ON "VibeCluster"("geohash");
+
+-- CreateIndex
+CREATE INDEX "VibeCluster_expiresAt_idx" ON "VibeCluster"("expiresAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VibeRateLimit_anonymousId_key" ON "VibeRateLimit"("anonymousId");
+
+-- CreateIndex
+CREATE INDEX "VibeRateLimit_anonymousId_idx" ON "VibeRateLimit"("anonymousId");
+
+-- AddForeignKey
+ALTER TABLE "Vibe" ADD CONSTRAINT "Vibe_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
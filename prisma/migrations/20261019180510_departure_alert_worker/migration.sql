@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ScheduledAlert" ADD COLUMN     "lastCheckedAt" TIMESTAMP(3),
+ADD COLUMN     "lastEtaSeconds" INTEGER,
+ADD COLUMN     "lockedUntil" TIMESTAMP(3),
+ADD COLUMN     "originLat" DOUBLE PRECISION,
+ADD COLUMN     "originLng" DOUBLE PRECISION;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "ScheduledAlert" ADD COLUMN     "bufferMinutes" INTEGER NOT NULL DEFAULT 5,
+ADD COLUMN     "savedPlaceId" TEXT;
+
+-- Alerts left behind by deleted users can't satisfy the new foreign key
+DELETE FROM "ScheduledAlert" WHERE "userId" NOT IN (SELECT "id" FROM "User");
+
+-- AddForeignKey
+ALTER TABLE "ScheduledAlert" ADD CONSTRAINT "ScheduledAlert_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,45 @@
+-- AlterTable
+ALTER TABLE "ScheduledAlert" ADD COLUMN     "commuteId" TEXT,
+ADD COLUMN     "leadMinutes" INTEGER NOT NULL DEFAULT 5;
+
+-- AlterTable
+ALTER TABLE "UserPreferences" ADD COLUMN     "timezone" TEXT NOT NULL DEFAULT 'Asia/Dubai';
+
+-- CreateTable
+CREATE TABLE "Commute" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT,
+    "originPlaceId" TEXT NOT NULL,
+    "destinationPlaceId" TEXT NOT NULL,
+    "days" INTEGER[],
+    "arriveBy" TEXT NOT NULL,
+    "bufferMinutes" INTEGER NOT NULL DEFAULT 5,
+    "skipDates" TEXT[],
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Commute_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Commute_userId_idx" ON "Commute"("userId");
+
+-- CreateIndex
+CREATE INDEX "Commute_isActive_idx" ON "Commute"("isActive");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ScheduledAlert_commuteId_eventTime_key" ON "ScheduledAlert"("commuteId", "eventTime");
+
+-- AddForeignKey
+ALTER TABLE "Commute" ADD CONSTRAINT "Commute_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Commute" ADD CONSTRAINT "Commute_originPlaceId_fkey" FOREIGN KEY ("originPlaceId") REFERENCES "SavedPlace"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Commute" ADD CONSTRAINT "Commute_destinationPlaceId_fkey" FOREIGN KEY ("destinationPlaceId") REFERENCES "SavedPlace"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScheduledAlert" ADD CONSTRAINT "ScheduledAlert_commuteId_fkey" FOREIGN KEY ("commuteId") REFERENCES "Commute"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "UserPreferences" ADD COLUMN     "lastWeeklyDigestAt" TIMESTAMP(3);
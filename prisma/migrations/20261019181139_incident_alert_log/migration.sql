@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "IncidentAlertLog" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "incidentKey" TEXT NOT NULL,
+    "latitude" DOUBLE PRECISION NOT NULL,
+    "longitude" DOUBLE PRECISION NOT NULL,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "IncidentAlertLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "IncidentAlertLog_userId_sentAt_idx" ON "IncidentAlertLog"("userId", "sentAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "IncidentAlertLog_userId_incidentKey_key" ON "IncidentAlertLog"("userId", "incidentKey");
+
+-- AddForeignKey
+ALTER TABLE "IncidentAlertLog" ADD CONSTRAINT "IncidentAlertLog_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "UserPreferences" ADD COLUMN     "departureAlertsDailyCap" INTEGER NOT NULL DEFAULT 10,
+ADD COLUMN     "incidentAlertsDailyCap" INTEGER NOT NULL DEFAULT 5,
+ADD COLUMN     "quietHoursEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "quietHoursEnd" TEXT NOT NULL DEFAULT '07:00',
+ADD COLUMN     "quietHoursStart" TEXT NOT NULL DEFAULT '22:00';
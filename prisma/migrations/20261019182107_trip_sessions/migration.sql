@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "TripSession" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "originLat" DOUBLE PRECISION NOT NULL,
+    "originLng" DOUBLE PRECISION NOT NULL,
+    "destinationName" TEXT,
+    "destinationLat" DOUBLE PRECISION NOT NULL,
+    "destinationLng" DOUBLE PRECISION NOT NULL,
+    "routePoints" TEXT NOT NULL,
+    "activityPushToken" TEXT,
+    "bundleId" TEXT,
+    "currentLat" DOUBLE PRECISION,
+    "currentLng" DOUBLE PRECISION,
+    "locationUpdatedAt" TIMESTAMP(3),
+    "etaSeconds" INTEGER NOT NULL,
+    "delaySeconds" INTEGER NOT NULL DEFAULT 0,
+    "remainingMeters" INTEGER NOT NULL,
+    "expectedArrival" TIMESTAMP(3) NOT NULL,
+    "pushedArrival" TIMESTAMP(3),
+    "pushedAt" TIMESTAMP(3),
+    "notifiedIncidentIds" TEXT[],
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endedAt" TIMESTAMP(3),
+    "lockedUntil" TIMESTAMP(3),
+    "lastCheckedAt" TIMESTAMP(3),
+
+    CONSTRAINT "TripSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TripSession_status_lockedUntil_idx" ON "TripSession"("status", "lockedUntil");
+
+-- CreateIndex
+CREATE INDEX "TripSession_userId_status_idx" ON "TripSession"("userId", "status");
+
+-- AddForeignKey
+ALTER TABLE "TripSession" ADD CONSTRAINT "TripSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "TravelTimeStat" (
+    "id" TEXT NOT NULL,
+    "originCell" TEXT NOT NULL,
+    "destinationCell" TEXT NOT NULL,
+    "weekday" INTEGER NOT NULL,
+    "timeBucket" INTEGER NOT NULL,
+    "tripCount" INTEGER NOT NULL DEFAULT 0,
+    "totalSeconds" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "totalSquaredSeconds" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TravelTimeStat_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TravelTimeStat_originCell_destinationCell_idx" ON "TravelTimeStat"("originCell", "destinationCell");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TravelTimeStat_originCell_destinationCell_weekday_timeBucke_key" ON "TravelTimeStat"("originCell", "destinationCell", "weekday", "timeBucket");
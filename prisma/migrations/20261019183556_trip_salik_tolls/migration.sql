@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Trip" ADD COLUMN     "salikCostAed" DOUBLE PRECISION,
+ADD COLUMN     "salikGateCount" INTEGER;
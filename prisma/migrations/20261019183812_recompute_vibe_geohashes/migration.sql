@@ -0,0 +1,63 @@
+-- Replace the old grid strings ("25204_55270") in the geohash columns with
+-- real geohashes, which GET /api/vibes/nearby matches by prefix. Same
+-- encoding and length as src/utils/geohash.js (STORED_PRECISION = 7).
+
+-- CreateFunction
+CREATE FUNCTION "geohash_encode"(lat DOUBLE PRECISION, lng DOUBLE PRECISION, len INTEGER)
+RETURNS TEXT AS $$
+DECLARE
+    base32 CONSTANT TEXT := '0123456789bcdefghjkmnpqrstuvwxyz';
+    lat_min DOUBLE PRECISION := -90;
+    lat_max DOUBLE PRECISION := 90;
+    lng_min DOUBLE PRECISION := -180;
+    lng_max DOUBLE PRECISION := 180;
+    mid DOUBLE PRECISION;
+    hash TEXT := '';
+    bits INTEGER := 0;
+    value INTEGER := 0;
+    even_bit BOOLEAN := true;
+BEGIN
+    WHILE length(hash) < len LOOP
+        IF even_bit THEN
+            mid := (lng_min + lng_max) / 2;
+            IF lng >= mid THEN
+                value := value * 2 + 1;
+                lng_min := mid;
+            ELSE
+                value := value * 2;
+                lng_max := mid;
+            END IF;
+        ELSE
+            mid := (lat_min + lat_max) / 2;
+            IF lat >= mid THEN
+                value := value * 2 + 1;
+                lat_min := mid;
+            ELSE
+                value := value * 2;
+                lat_max := mid;
+            END IF;
+        END IF;
+        even_bit := NOT even_bit;
+
+        bits := bits + 1;
+        IF bits = 5 THEN
+            hash := hash || substr(base32, value + 1, 1);
+            bits := 0;
+            value := 0;
+        END IF;
+    END LOOP;
+
+    RETURN hash;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- UpdateData
+UPDATE "VibeCluster" SET "geohash" = "geohash_encode"("latitude", "longitude", 7)
+WHERE "geohash" IS DISTINCT FROM "geohash_encode"("latitude", "longitude", 7);
+
+-- UpdateData
+UPDATE "Vibe" SET "geohash" = "geohash_encode"("latitude", "longitude", 7)
+WHERE "geohash" IS DISTINCT FROM "geohash_encode"("latitude", "longitude", 7);
+
+-- DropFunction
+DROP FUNCTION "geohash_encode"(DOUBLE PRECISION, DOUBLE PRECISION, INTEGER);
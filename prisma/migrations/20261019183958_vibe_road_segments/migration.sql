@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Vibe" ADD COLUMN     "heading" DOUBLE PRECISION,
+ADD COLUMN     "roadName" TEXT,
+ADD COLUMN     "speed" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "VibeCluster" ADD COLUMN     "direction" TEXT NOT NULL DEFAULT 'any',
+ADD COLUMN     "roadName" TEXT;
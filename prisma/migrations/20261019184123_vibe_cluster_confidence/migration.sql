@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "VibeCluster" ADD COLUMN     "confidence" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "VibeRateLimit_resetAt_idx" ON "VibeRateLimit"("resetAt");
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "VibeDevice" (
+    "id" TEXT NOT NULL,
+    "ipHash" TEXT NOT NULL,
+    "attestation" TEXT,
+    "attestedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revokedAt" TIMESTAMP(3),
+
+    CONSTRAINT "VibeDevice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "VibeDevice_ipHash_createdAt_idx" ON "VibeDevice"("ipHash", "createdAt");
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Vibe" ADD COLUMN     "flags" TEXT,
+ADD COLUMN     "weight" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "VibeDevice" ADD COLUMN     "lastLatitude" DOUBLE PRECISION,
+ADD COLUMN     "lastLongitude" DOUBLE PRECISION,
+ADD COLUMN     "lastVibeAt" TIMESTAMP(3),
+ADD COLUMN     "lastVibeType" TEXT,
+ADD COLUMN     "offRoadStreak" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "reputation" DOUBLE PRECISION NOT NULL DEFAULT 1;
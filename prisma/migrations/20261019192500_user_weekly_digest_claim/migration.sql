@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "lastWeeklyDigestAt" TIMESTAMP(3);
+
+-- UpdateData
+UPDATE "User" SET "lastWeeklyDigestAt" = "UserPreferences"."lastWeeklyDigestAt"
+FROM "UserPreferences"
+WHERE "UserPreferences"."userId" = "User"."id";
+
+-- AlterTable
+ALTER TABLE "UserPreferences" DROP COLUMN "lastWeeklyDigestAt";
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Fill in Salik toll estimates for trips recorded before they were stored
+ *
+ * Trip statistics total salikGateCount and salikCostAed in the database;
+ * new trips get them when recorded. Run this once for older trips.
+ *
+ * Run: node scripts/backfill-trip-tolls.js
+ */
+
+require('dotenv').config();
+const prisma = require('../src/utils/prisma');
+const { decodePolyline } = require('../src/utils/geo');
+const { estimateTolls } = require('../src/services/tolls');
+
+const BATCH_SIZE = 500;
+
+async function backfillTripTolls() {
+  console.log('🛣️  Estimating Salik tolls for older trips...\n');
+
+  let updated = 0;
+
+  for (;;) {
+    // Updated trips drop out of the filter, so each batch starts from the top
+    const trips = await prisma.trip.findMany({
+      where: { routePolyline: { not: null }, salikGateCount: null },
+      select: { id: true, routePolyline: true, departureTime: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+    });
+    if (trips.length === 0) break;
+
+    for (const trip of trips) {
+      const tolls = estimateTolls(decodePolyline(trip.routePolyline), trip.departureTime);
+      await prisma.trip.update({
+        where: { id: trip.id },
+        data: { salikGateCount: tolls.gateCount, salikCostAed: tolls.estimatedCostAed },
+      });
+    }
+
+    updated += trips.length;
+    console.log(`   Updated ${updated} trips`);
+  }
+
+  console.log(`\n✅ Estimated tolls for ${updated} trips`);
+}
+
+// Run the script
+backfillTripTolls()
+  .catch((error) => {
+    console.error('❌ Failed to backfill trip tolls:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Rebuild the typical travel time model from all recorded trips
+ *
+ * New trips update the model as they are recorded; run this once to learn
+ * from the existing history, or after changing the slot definitions in
+ * src/services/travelTimes.js.
+ *
+ * Run: node scripts/build-travel-times.js
+ */
+
+require('dotenv').config();
+const prisma = require('../src/utils/prisma');
+const { DEFAULT_TIMEZONE } = require('../src/utils/time');
+const { getSlot, isRecordable } = require('../src/services/travelTimes');
+
+const BATCH_SIZE = 1000;
+
+async function buildTravelTimes() {
+  console.log('🕒 Rebuilding travel time model from trip history...\n');
+
+  const stats = new Map();
+  let cursor = null;
+  let scanned = 0;
+  let counted = 0;
+
+  // Oldest first, so the outlier check sees the same history as live recording did
+  for (;;) {
+    const trips = await prisma.trip.findMany({
+      orderBy: [{ departureTime: 'asc' }, { id: 'asc' }],
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      include: { user: { select: { preferences: { select: { timezone: true } } } } },
+    });
+    if (trips.length === 0) break;
+
+    for (const trip of trips) {
+      const slot = getSlot(
+        { lat: trip.originLat, lng: trip.originLng },
+        { lat: trip.destinationLat, lng: trip.destinationLng },
+        trip.departureTime,
+        trip.user.preferences?.timezone || DEFAULT_TIMEZONE
+      );
+      const key = `${slot.originCell}|${slot.destinationCell}|${slot.weekday}|${slot.timeBucket}`;
+      const stat = stats.get(key);
+
+      if (!isRecordable(stat, slot, trip.durationSeconds)) continue;
+
+      if (stat) {
+        stat.tripCount += 1;
+        stat.totalSeconds += trip.durationSeconds;
+        stat.totalSquaredSeconds += trip.durationSeconds * trip.durationSeconds;
+      } else {
+        stats.set(key, {
+          ...slot,
+          tripCount: 1,
+          totalSeconds: trip.durationSeconds,
+          totalSquaredSeconds: trip.durationSeconds * trip.durationSeconds,
+        });
+      }
+      counted++;
+    }
+
+    scanned += trips.length;
+    cursor = trips[trips.length - 1].id;
+    console.log(`   Scanned ${scanned} trips`);
+  }
+
+  const rows = [...stats.values()];
+  await prisma.$transaction([
+    prisma.travelTimeStat.deleteMany({}),
+    prisma.travelTimeStat.createMany({ data: rows }),
+  ]);
+
+  console.log(`\n✅ ${counted} of ${scanned} trips counted into ${rows.length} slots`);
+}
+
+// Run the script
+buildTravelTimes()
+  .catch((error) => {
+    console.error('❌ Failed to rebuild travel times:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Recompute stored geohashes for vibes and vibe clusters
+ *
+ * Rows written before real geohash encoding held grid strings like
+ * "25204_55270", which nearby prefix queries never match. The
+ * recompute_vibe_geohashes migration converts them on deploy (npm run db:migrate);
+ * run this script if STORED_PRECISION in src/utils/geohash.js changes.
+ *
+ * Run: node scripts/recompute-vibe-geohashes.js
+ */
+
+require('dotenv').config();
+const prisma = require('../src/utils/prisma');
+const { STORED_PRECISION, encode } = require('../src/utils/geohash');
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Recompute the geohash column of one model
+ * @param {string} model - Prisma model name (vibe or vibeCluster)
+ * @returns {Promise<object>} { scanned, updated }
+ */
+async function recompute(model) {
+  let cursor = null;
+  let scanned = 0;
+  let updated = 0;
+
+  for (;;) {
+    const rows = await prisma[model].findMany({
+      select: { id: true, latitude: true, longitude: true, geohash: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    if (rows.length === 0) break;
+
+    const changed = rows
+      .map((row) => ({ ...row, recomputed: encode(row.latitude, row.longitude, STORED_PRECISION) }))
+      .filter((row) => row.recomputed !== row.geohash);
+
+    await prisma.$transaction(
+      changed.map((row) => prisma[model].update({ where: { id: row.id }, data: { geohash: row.recomputed } }))
+    );
+
+    scanned += rows.length;
+    updated += changed.length;
+    cursor = rows[rows.length - 1].id;
+  }
+
+  return { scanned, updated };
+}
+
+async function recomputeVibeGeohashes() {
+  console.log('🧭 Recomputing vibe geohashes...\n');
+
+  for (const model of ['vibeCluster', 'vibe']) {
+    const { scanned, updated } = await recompute(model);
+    console.log(`   ${model}: ${updated} of ${scanned} rows updated`);
+  }
+
+  console.log('\n✅ Geohashes recomputed');
+}
+
+// Run the script
+recomputeVibeGeohashes()
+  .catch((error) => {
+    console.error('❌ Failed to recompute geohashes:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
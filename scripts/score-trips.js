@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Re-score all recorded trips with the server-side trip scoring
+ *
+ * Trips recorded before server scoring carry whatever score the app sent
+ * and no breakdown. Run this once after deploying, and again whenever the
+ * scoring in src/services/tripScoring.js changes.
+ *
+ * Run: node scripts/score-trips.js
+ */
+
+require('dotenv').config();
+const prisma = require('../src/utils/prisma');
+const { scoreTrip, findRecommendedDeparture } = require('../src/services/tripScoring');
+
+const BATCH_SIZE = 500;
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+async function scoreTrips() {
+  console.log('🏁 Re-scoring trips...\n');
+
+  let cursor = null;
+  let scanned = 0;
+  let scored = 0;
+
+  for (;;) {
+    const trips = await prisma.trip.findMany({
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    if (trips.length === 0) break;
+
+    for (const trip of trips) {
+      const { score, breakdown } = scoreTrip(trip, {
+        trafficConditions: parseJson(trip.trafficConditions),
+        recommendedDeparture: await findRecommendedDeparture(trip),
+      });
+
+      await prisma.trip.update({
+        where: { id: trip.id },
+        data: { tripScore: score, tripScoreBreakdown: JSON.stringify(breakdown) },
+      });
+
+      if (score !== null) scored++;
+    }
+
+    scanned += trips.length;
+    cursor = trips[trips.length - 1].id;
+    console.log(`   Processed ${scanned} trips`);
+  }
+
+  console.log(`\n✅ Re-scored ${scanned} trips (${scored} with a score)`);
+}
+
+// Run the script
+scoreTrips()
+  .catch((error) => {
+    console.error('❌ Failed to re-score trips:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
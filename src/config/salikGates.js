@@ -0,0 +1,39 @@
+/**
+ * Salik toll gates in Dubai
+ *
+ * Gate positions are approximate (centre of the carriageway at the gantry);
+ * services/tolls.js matches them against routes with a tolerance to allow for that.
+ * chargeGroup: gates in the same group are charged once per trip when passed
+ * within an hour in the same direction (Salik's Al Mamzar and Al Safa rules).
+ */
+
+const SALIK_GATES = [
+  { id: 'al_barsha', name: 'Al Barsha', road: 'Sheikh Zayed Road', lat: 25.1155, lng: 55.1960 },
+  { id: 'al_safa', name: 'Al Safa', road: 'Sheikh Zayed Road', lat: 25.1905, lng: 55.2590, chargeGroup: 'al_safa' },
+  { id: 'al_safa_south', name: 'Al Safa South', road: 'Sheikh Zayed Road', lat: 25.1600, lng: 55.2310, chargeGroup: 'al_safa' },
+  { id: 'jebel_ali', name: 'Jebel Ali', road: 'Sheikh Zayed Road', lat: 25.0390, lng: 55.1190 },
+  { id: 'al_garhoud', name: 'Al Garhoud Bridge', road: 'Al Garhoud Bridge', lat: 25.2235, lng: 55.3360 },
+  { id: 'al_maktoum', name: 'Al Maktoum Bridge', road: 'Al Maktoum Bridge', lat: 25.2470, lng: 55.3185 },
+  { id: 'business_bay', name: 'Business Bay Crossing', road: 'Al Khail Road', lat: 25.1870, lng: 55.2900 },
+  { id: 'airport_tunnel', name: 'Airport Tunnel', road: 'Airport Tunnel', lat: 25.2430, lng: 55.3680 },
+  { id: 'al_mamzar_north', name: 'Al Mamzar North', road: 'Al Ittihad Road', lat: 25.2930, lng: 55.3600, chargeGroup: 'al_mamzar' },
+  { id: 'al_mamzar_south', name: 'Al Mamzar South', road: 'Al Ittihad Road', lat: 25.2860, lng: 55.3560, chargeGroup: 'al_mamzar' },
+];
+
+// Variable pricing in AED (Dubai local time)
+//   Monday-Saturday: peak 06:00-10:00 and 16:00-20:00, off-peak otherwise
+//   Sunday: off-peak all day
+//   Every day: free 01:00-06:00
+// Public holiday and special event pricing is not modelled
+const SALIK_PRICING = {
+  peak: 6,
+  offPeak: 4,
+  free: 0,
+  peakHours: [[6, 10], [16, 20]],
+  freeHours: [1, 6],
+};
+
+module.exports = {
+  SALIK_GATES,
+  SALIK_PRICING,
+};
@@ -4,6 +4,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const logger = require('./utils/logger');
+const { startJobs } = require('./jobs');
 
 // Route imports - TomTom proxy
 const trafficRoutes = require('./routes/traffic');
@@ -18,6 +19,9 @@ const chatRoutes = require('./routes/chat');
 const authRoutes = require('./routes/auth');
 const usersRoutes = require('./routes/users');
 const tripsRoutes = require('./routes/trips');
+const alertsRoutes = require('./routes/alerts');
+const commutesRoutes = require('./routes/commutes');
+const tripSessionsRoutes = require('./routes/tripSessions');
 const incidentsRoutes = require('./routes/incidents');
 const vibesRoutes = require('./routes/vibes');
 
@@ -27,12 +31,17 @@ const healthRoutes = require('./routes/health');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind Railway's proxy: take req.ip from X-Forwarded-For so rate limits and
+// per-network counts see the client rather than the proxy. TRUST_PROXY is the
+// number of proxy hops in front of the app (0 when clients connect directly).
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY ?? '1', 10));
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
   methods: ['GET', 'POST', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-Token'],
 }));
 
 // Rate limiting - 100 requests per minute per IP
@@ -73,6 +82,9 @@ app.use('/api/auth', authRoutes);
 // API Routes - User features (authenticated)
 app.use('/api/users', usersRoutes);
 app.use('/api/trips', tripsRoutes);
+app.use('/api/alerts', alertsRoutes);
+app.use('/api/commutes', commutesRoutes);
+app.use('/api/trip-sessions', tripSessionsRoutes);
 app.use('/api/incidents', incidentsRoutes);
 
 // API Routes - Community vibes (anonymous)
@@ -102,6 +114,9 @@ app.get('/', (req, res) => {
       // User features (auth required)
       users: '/api/users',
       trips: '/api/trips',
+      alerts: '/api/alerts',
+      commutes: '/api/commutes',
+      tripSessions: '/api/trip-sessions',
       incidents: '/api/incidents',
       // Community vibes (anonymous)
       vibes: '/api/vibes',
@@ -134,4 +149,7 @@ app.listen(PORT, () => {
   if (!process.env.GEMINI_API_KEY) {
     logger.warn('⚠️  GEMINI_API_KEY not set - Yalla Chat will be unavailable');
   }
+
+  // Background jobs (see src/jobs)
+  startJobs();
 });
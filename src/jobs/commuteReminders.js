@@ -0,0 +1,131 @@
+/**
+ * Commute Reminder Generator
+ *
+ * Turns recurring commutes into ScheduledAlert rows a few hours before each
+ * occurrence. The reminder time is planned with predictive traffic by the
+ * arrive-by planner (as for alerts created through the API); the departure
+ * alert worker then keeps it in line with live traffic and sends it.
+ */
+
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { initialScheduleFor, plannedScheduleFor } = require('./departureAlerts');
+const { DEFAULT_TIMEZONE, getLocalParts, localToUtc, addDays } = require('../utils/time');
+
+// How often commutes are scanned for upcoming occurrences
+const POLL_INTERVAL_MS = 15 * 60 * 1000;
+// Reminders are generated once an occurrence is this close
+const GENERATION_HORIZON_HOURS = 12;
+
+/**
+ * Generate reminders for all active commutes
+ * @returns {Promise<number>} Number of reminders created
+ */
+async function generateCommuteReminders() {
+  const now = new Date();
+
+  const commutes = await prisma.commute.findMany({
+    where: { isActive: true },
+    include: {
+      originPlace: true,
+      destinationPlace: true,
+      user: { include: { preferences: true } },
+    },
+  });
+
+  let created = 0;
+  for (const commute of commutes) {
+    try {
+      created += await generateForCommute(commute, now);
+    } catch (error) {
+      logger.error(`[CommuteReminders] Failed for commute ${commute.id}: ${error.message}`);
+    }
+  }
+
+  if (created > 0) {
+    logger.info(`[CommuteReminders] Created ${created} reminder(s)`);
+  }
+  return created;
+}
+
+/**
+ * Create reminders for a commute's occurrences inside the horizon
+ */
+async function generateForCommute(commute, now) {
+  const preferences = commute.user.preferences;
+  if (preferences && (!preferences.notificationsEnabled || !preferences.departureAlerts)) {
+    return 0;
+  }
+
+  const timeZone = preferences?.timezone || DEFAULT_TIMEZONE;
+  const leadMinutes = preferences?.commuteReminderMinutes ?? 15;
+
+  let created = 0;
+  for (const eventTime of getUpcomingOccurrences(commute, timeZone, now)) {
+    // Claim the occurrence first - the unique (commuteId, eventTime) key means
+    // only one instance gets past this point for a given day
+    let alert;
+    try {
+      alert = await prisma.scheduledAlert.create({
+        data: {
+          userId: commute.userId,
+          commuteId: commute.id,
+          originLat: commute.originPlace.latitude,
+          originLng: commute.originPlace.longitude,
+          destinationName: commute.destinationPlace.name,
+          destinationLat: commute.destinationPlace.latitude,
+          destinationLng: commute.destinationPlace.longitude,
+          savedPlaceId: commute.destinationPlaceId,
+          eventTime,
+          bufferMinutes: commute.bufferMinutes,
+          leadMinutes,
+          scheduledFor: initialScheduleFor(eventTime, commute.bufferMinutes, leadMinutes),
+        },
+      });
+    } catch (error) {
+      if (error.code === 'P2002') continue; // Already generated
+      throw error;
+    }
+
+    // Planned after the claim so duplicates don't cost routing calls
+    const sendAt = await plannedScheduleFor(alert);
+    await prisma.scheduledAlert.updateMany({
+      where: { id: alert.id, status: 'pending' },
+      data: { scheduledFor: new Date(Math.max(sendAt.getTime(), now.getTime())) },
+    });
+
+    created++;
+  }
+
+  return created;
+}
+
+/**
+ * Arrival times for the commute today and tomorrow that fall inside the horizon
+ * Skips weekdays outside the commute's schedule and dates the user marked as off
+ * @returns {Date[]}
+ */
+function getUpcomingOccurrences(commute, timeZone, now) {
+  const today = getLocalParts(now, timeZone).date;
+  const horizon = now.getTime() + GENERATION_HORIZON_HOURS * 60 * 60 * 1000;
+  const occurrences = [];
+
+  for (let offset = 0; offset <= 1; offset++) {
+    const date = addDays(today, offset);
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+
+    if (!commute.days.includes(weekday) || commute.skipDates.includes(date)) continue;
+
+    const eventTime = localToUtc(date, commute.arriveBy, timeZone);
+    if (eventTime > now && eventTime.getTime() <= horizon) {
+      occurrences.push(eventTime);
+    }
+  }
+
+  return occurrences;
+}
+
+module.exports = {
+  POLL_INTERVAL_MS,
+  generateCommuteReminders,
+};
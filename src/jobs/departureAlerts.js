@@ -0,0 +1,225 @@
+/**
+ * Departure Alert Worker
+ *
+ * Polls pending ScheduledAlert rows that are due (or coming up soon), recomputes
+ * the live ETA to the destination and either sends the alert now or moves it
+ * to a better time. Each alert is claimed with a short lease before any work
+ * is done, so several instances can run this job without sending duplicates.
+ */
+
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { getRouteSummary, getTrafficStatus, planArriveBy } = require('../services/routing');
+const { sendDepartureAlert } = require('../services/notifications');
+
+// How often the worker polls for due alerts
+const POLL_INTERVAL_MS = 60 * 1000;
+// Alerts due within this window get their ETA re-checked (so they can move earlier)
+const LOOKAHEAD_MINUTES = 60;
+// Minimum time between ETA checks for an alert that isn't due yet
+const RECHECK_MINUTES = 5;
+// How long a worker owns an alert it has claimed
+const LEASE_SECONDS = 120;
+// Travel time assumed when an alert is first created, before any live check
+const INITIAL_TRAVEL_ESTIMATE_MINUTES = 45;
+// Max alerts handled per poll
+const BATCH_SIZE = 50;
+
+/**
+ * Poll and process all due alerts
+ * @returns {Promise<number>} Number of alerts this worker processed
+ */
+async function processDueAlerts() {
+  const now = new Date();
+
+  const candidates = await prisma.scheduledAlert.findMany({
+    where: {
+      status: 'pending',
+      scheduledFor: { lte: new Date(now.getTime() + LOOKAHEAD_MINUTES * 60 * 1000) },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+    },
+    orderBy: { scheduledFor: 'asc' },
+    take: BATCH_SIZE,
+  });
+
+  let processed = 0;
+  for (const alert of candidates) {
+    // Another instance may have claimed it since we read it
+    if (!(await claimAlert(alert.id, now))) continue;
+
+    try {
+      await processAlert(alert, now);
+      processed++;
+    } catch (error) {
+      // Leave the lease to expire so the alert is retried on a later poll
+      logger.error(`[DepartureAlerts] Failed to process alert ${alert.id}: ${error.message}`);
+    }
+  }
+
+  if (processed > 0) {
+    logger.info(`[DepartureAlerts] Processed ${processed} alert(s)`);
+  }
+  return processed;
+}
+
+/**
+ * Atomically take a lease on an alert
+ * The conditional update only matches for one worker, which makes it the owner
+ */
+async function claimAlert(id, now) {
+  const { count } = await prisma.scheduledAlert.updateMany({
+    where: {
+      id,
+      status: 'pending',
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+    },
+    data: { lockedUntil: new Date(now.getTime() + LEASE_SECONDS * 1000) },
+  });
+
+  return count === 1;
+}
+
+/**
+ * Decide whether to send a claimed alert now or move it
+ */
+async function processAlert(alert, now) {
+  if (alert.eventTime <= now) {
+    return finishAlert(alert.id, { status: 'expired' });
+  }
+
+  const preferences = await prisma.userPreferences.findUnique({
+    where: { userId: alert.userId },
+  });
+  if (preferences && (!preferences.notificationsEnabled || !preferences.departureAlerts)) {
+    return finishAlert(alert.id, { status: 'cancelled' });
+  }
+
+  const origin = await resolveOrigin(alert);
+  if (!origin) {
+    logger.warn(`[DepartureAlerts] Alert ${alert.id} has no origin and user has no home place`);
+    return finishAlert(alert.id, { status: 'cancelled' });
+  }
+
+  const summary = await getRouteSummary(origin, {
+    lat: alert.destinationLat,
+    lng: alert.destinationLng,
+  });
+
+  const bufferMs = alert.bufferMinutes * 60 * 1000;
+  const latestDeparture = alert.eventTime.getTime() - summary.travelTimeSeconds * 1000 - bufferMs;
+  const sendAt = new Date(latestDeparture - alert.leadMinutes * 60 * 1000);
+
+  const checkData = {
+    lastEtaSeconds: summary.travelTimeSeconds,
+    lastCheckedAt: now,
+  };
+
+  if (sendAt > now) {
+    // Too early - move the alert to the new ideal time and check again before then
+    const nextCheck = Math.min(now.getTime() + RECHECK_MINUTES * 60 * 1000, sendAt.getTime());
+
+    await prisma.scheduledAlert.updateMany({
+      where: { id: alert.id, status: 'pending' },
+      data: {
+        ...checkData,
+        scheduledFor: sendAt,
+        lockedUntil: new Date(nextCheck),
+      },
+    });
+
+    if (Math.abs(sendAt - alert.scheduledFor) >= 60 * 1000) {
+      logger.info(`[DepartureAlerts] Alert ${alert.id} moved to ${sendAt.toISOString()}`);
+    }
+    return;
+  }
+
+  const etaMinutes = Math.round(summary.travelTimeSeconds / 60);
+  const result = await sendDepartureAlert(alert.userId, {
+    alertId: alert.id,
+    destinationName: alert.destinationName,
+    etaMinutes,
+    distanceMeters: summary.lengthMeters,
+    arrivalTime: summary.arrivalTime,
+    trafficStatus: getTrafficStatus(summary),
+  });
+
+  if (!result.success) {
+    logger.warn(`[DepartureAlerts] Alert ${alert.id} not delivered: ${result.reason || result.error}`);
+  }
+
+  await finishAlert(alert.id, { ...checkData, status: 'sent', sentAt: new Date() });
+}
+
+/**
+ * Move an alert out of pending and release its lease
+ * Scoped to pending so a cancellation made while we worked is not overwritten
+ */
+async function finishAlert(id, data) {
+  await prisma.scheduledAlert.updateMany({
+    where: { id, status: 'pending' },
+    data: { ...data, lockedUntil: null },
+  });
+}
+
+/**
+ * Rough first send time for a new or edited alert
+ * The worker picks the alert up ahead of this and replaces it with a live estimate
+ * @param {Date} eventTime - When the user needs to arrive
+ * @param {number} bufferMinutes - Extra margin requested by the user
+ * @param {number} leadMinutes - How long before the departure time to send
+ * @returns {Date} Initial scheduledFor value
+ */
+function initialScheduleFor(eventTime, bufferMinutes, leadMinutes = 5) {
+  const totalMinutes = INITIAL_TRAVEL_ESTIMATE_MINUTES + bufferMinutes + leadMinutes;
+  return new Date(eventTime.getTime() - totalMinutes * 60 * 1000);
+}
+
+/**
+ * First send time for a new or edited alert, planned with predictive traffic
+ * Uses the arrive-by planner's latest departure (the alert's own buffer replaces
+ * the planner's margin) and falls back to initialScheduleFor if planning fails
+ * @param {object} alert - ScheduledAlert fields (origin, destination, eventTime, bufferMinutes, leadMinutes)
+ * @returns {Promise<Date>} Initial scheduledFor value
+ */
+async function plannedScheduleFor(alert) {
+  const leadMinutes = alert.leadMinutes ?? 5;
+
+  try {
+    const origin = await resolveOrigin(alert);
+    if (origin) {
+      const plan = await planArriveBy(
+        origin,
+        { lat: alert.destinationLat, lng: alert.destinationLng },
+        alert.eventTime
+      );
+      const departure = plan.latestDeparture || plan.recommendedDeparture;
+      return new Date(departure.getTime() - (alert.bufferMinutes + leadMinutes) * 60 * 1000);
+    }
+  } catch (error) {
+    logger.warn(`[DepartureAlerts] Arrive-by planning failed, using estimate: ${error.message}`);
+  }
+
+  return initialScheduleFor(alert.eventTime, alert.bufferMinutes, leadMinutes);
+}
+
+/**
+ * Get the alert's origin, falling back to the user's home place
+ */
+async function resolveOrigin(alert) {
+  if (alert.originLat != null && alert.originLng != null) {
+    return { lat: alert.originLat, lng: alert.originLng };
+  }
+
+  const home = await prisma.savedPlace.findFirst({
+    where: { userId: alert.userId, placeType: 'home' },
+  });
+
+  return home ? { lat: home.latitude, lng: home.longitude } : null;
+}
+
+module.exports = {
+  POLL_INTERVAL_MS,
+  processDueAlerts,
+  initialScheduleFor,
+  plannedScheduleFor,
+};
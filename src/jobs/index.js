@@ -0,0 +1,28 @@
+const { schedule } = require('../utils/scheduler');
+const logger = require('../utils/logger');
+const departureAlerts = require('./departureAlerts');
+const commuteReminders = require('./commuteReminders');
+const weeklyDigests = require('./weeklyDigests');
+const tomtomIncidents = require('./tomtomIncidents');
+const tripSessions = require('./tripSessions');
+const vibeCompaction = require('./vibeCompaction');
+
+/**
+ * Start all background jobs
+ * Set DISABLE_JOBS=true to run an API-only instance
+ */
+function startJobs() {
+  if (process.env.DISABLE_JOBS === 'true') {
+    logger.info('[Jobs] Background jobs disabled');
+    return;
+  }
+
+  schedule('departure-alerts', departureAlerts.POLL_INTERVAL_MS, departureAlerts.processDueAlerts);
+  schedule('commute-reminders', commuteReminders.POLL_INTERVAL_MS, commuteReminders.generateCommuteReminders);
+  schedule('weekly-digests', weeklyDigests.POLL_INTERVAL_MS, weeklyDigests.sendWeeklyDigests);
+  schedule('tomtom-incidents', tomtomIncidents.POLL_INTERVAL_MS, tomtomIncidents.checkTomTomIncidents);
+  schedule('trip-sessions', tripSessions.POLL_INTERVAL_MS, tripSessions.processTripSessions);
+  schedule('vibe-compaction', vibeCompaction.POLL_INTERVAL_MS, vibeCompaction.compactVibes);
+}
+
+module.exports = { startJobs };
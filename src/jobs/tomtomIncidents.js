@@ -0,0 +1,57 @@
+/**
+ * TomTom Incident Watcher
+ *
+ * Polls TomTom for major incidents in the watched area and alerts users whose
+ * routes pass near them. Community incidents are handled when they become
+ * verified (see routes/incidents.js).
+ */
+
+const logger = require('../utils/logger');
+const { getTomTomIncidents } = require('../services/tomtomIncidents');
+const { notifyUsersNearIncident } = require('../services/incidentAlerts');
+
+// How often TomTom is polled
+const POLL_INTERVAL_MS = 5 * 60 * 1000;
+// Watched area as minLng,minLat,maxLng,maxLat (defaults to greater Dubai)
+const WATCH_BBOX = process.env.INCIDENT_WATCH_BBOX || '54.95,24.75,55.65,25.40';
+// magnitudeOfDelay at or above this is alerted (3 = major, 4 = undefined/closure)
+const MIN_MAGNITUDE = 3;
+// Processed incidents are remembered this long
+const SEEN_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Incident key -> time it was processed, so each incident is matched once
+const seen = new Map();
+
+/**
+ * Poll TomTom and alert users about new major incidents
+ * @returns {Promise<number>} Number of new incidents processed
+ */
+async function checkTomTomIncidents() {
+  const now = Date.now();
+  for (const [key, seenAt] of seen) {
+    if (now - seenAt > SEEN_TTL_MS) seen.delete(key);
+  }
+
+  const incidents = await getTomTomIncidents(WATCH_BBOX);
+  const major = incidents.filter((inc) => inc.magnitude >= MIN_MAGNITUDE && !seen.has(inc.key));
+
+  for (const inc of major) {
+    seen.set(inc.key, now);
+
+    await notifyUsersNearIncident({
+      key: inc.key,
+      type: inc.type,
+      severity: inc.severity,
+      lat: inc.lat,
+      lng: inc.lng,
+      roadName: inc.roadName,
+    });
+  }
+
+  return major.length;
+}
+
+module.exports = {
+  POLL_INTERVAL_MS,
+  checkTomTomIncidents,
+};
@@ -0,0 +1,75 @@
+/**
+ * Trip Session Worker
+ *
+ * Re-checks traffic for trips being navigated and keeps their Live Activities
+ * up to date (see services/tripSessions.js). Sessions are claimed with a short
+ * lease, like departure alerts, so several instances can run this job.
+ */
+
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { checkSession } = require('../services/tripSessions');
+
+// How often the worker polls for sessions due a re-check
+const POLL_INTERVAL_MS = 30 * 1000;
+// How long a worker owns a session it has claimed
+const LEASE_SECONDS = 120;
+// Max sessions handled per poll
+const BATCH_SIZE = 50;
+
+/**
+ * Poll and re-check all active sessions that are due
+ * @returns {Promise<number>} Number of sessions this worker checked
+ */
+async function processTripSessions() {
+  const now = new Date();
+
+  const candidates = await prisma.tripSession.findMany({
+    where: {
+      status: 'active',
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+    },
+    orderBy: { lastCheckedAt: { sort: 'asc', nulls: 'first' } },
+    take: BATCH_SIZE,
+  });
+
+  let processed = 0;
+  for (const session of candidates) {
+    // Another instance may have claimed it since we read it
+    if (!(await claimSession(session.id, now))) continue;
+
+    try {
+      await checkSession(session, now);
+      processed++;
+    } catch (error) {
+      // Leave the lease to expire so the session is retried on a later poll
+      logger.error(`[TripSessions] Failed to check session ${session.id}: ${error.message}`);
+    }
+  }
+
+  if (processed > 0) {
+    logger.info(`[TripSessions] Checked ${processed} session(s)`);
+  }
+  return processed;
+}
+
+/**
+ * Atomically take a lease on a session
+ */
+async function claimSession(id, now) {
+  const { count } = await prisma.tripSession.updateMany({
+    where: {
+      id,
+      status: 'active',
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+    },
+    data: { lockedUntil: new Date(now.getTime() + LEASE_SECONDS * 1000) },
+  });
+
+  return count === 1;
+}
+
+module.exports = {
+  POLL_INTERVAL_MS,
+  processTripSessions,
+};
@@ -0,0 +1,52 @@
+/**
+ * Vibe Compaction Job
+ *
+ * Keeps vibe clusters current between submissions (re-applying time decay and
+ * dropping vibes that expired) and deletes rows nobody reads any more:
+ * expired vibes and clusters, and rate limit rows whose 24h window is over.
+ * Every step is idempotent, so several instances can run this job.
+ */
+
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { refreshLiveClusters } = require('../services/vibeClusters');
+
+// How often clusters are refreshed and expired rows deleted
+const POLL_INTERVAL_MS = 60 * 1000;
+// Rate limit rows are kept this long after the last vibe, past any cooldown
+const RATE_LIMIT_IDLE_MINUTES = 10;
+
+/**
+ * Refresh live clusters and delete expired vibe data
+ * @returns {Promise<object>} { refreshed, vibes, clusters, rateLimits } - rows refreshed and deleted
+ */
+async function compactVibes() {
+  const now = new Date();
+
+  const refreshed = await refreshLiveClusters(now);
+
+  const [vibes, clusters, rateLimits] = await Promise.all([
+    prisma.vibe.deleteMany({ where: { expiresAt: { lte: now } } }),
+    prisma.vibeCluster.deleteMany({ where: { expiresAt: { lte: now } } }),
+    prisma.vibeRateLimit.deleteMany({
+      where: {
+        resetAt: { lte: now },
+        lastVibeAt: { lt: new Date(now.getTime() - RATE_LIMIT_IDLE_MINUTES * 60 * 1000) },
+      },
+    }),
+  ]);
+
+  const deleted = vibes.count + clusters.count + rateLimits.count;
+  if (deleted > 0) {
+    logger.info(
+      `[VibeCompaction] Deleted ${vibes.count} vibe(s), ${clusters.count} cluster(s), ${rateLimits.count} rate limit(s)`
+    );
+  }
+
+  return { refreshed, vibes: vibes.count, clusters: clusters.count, rateLimits: rateLimits.count };
+}
+
+module.exports = {
+  POLL_INTERVAL_MS,
+  compactVibes,
+};
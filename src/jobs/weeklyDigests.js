@@ -0,0 +1,133 @@
+/**
+ * Weekly Digest Job
+ *
+ * Sends each opted-in user a push summary of their previous week on Monday
+ * morning in their own timezone. The digest is claimed per user with a
+ * conditional update on User.lastWeeklyDigestAt, so it goes out once even when
+ * several instances run this job.
+ */
+
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { buildWeeklyDigest } = require('../services/weeklyDigest');
+const { sendWeeklySummary, isInQuietHours } = require('../services/notifications');
+const { DEFAULT_TIMEZONE, localToUtc, addDays, getWeekStart } = require('../utils/time');
+
+// How often the job checks for users due a digest
+const POLL_INTERVAL_MS = 60 * 60 * 1000;
+// Local time on Monday from which the digest can go out
+const DELIVERY_TIME = '08:00';
+// A digest claimed less than this long ago is this week's for every timezone;
+// the day of slack lets through users whose last digest was held back by quiet hours
+const MIN_DIGEST_GAP_MS = 6 * 24 * 60 * 60 * 1000;
+
+/**
+ * Send digests to every user whose delivery time has passed this week
+ * @returns {Promise<number>} Number of digests sent
+ */
+async function sendWeeklyDigests() {
+  const now = new Date();
+
+  // Coarse filter - the exact week boundary depends on each user's timezone.
+  // Users who never saved preferences get the defaults, which opt them in.
+  const candidates = await prisma.user.findMany({
+    where: {
+      AND: [
+        {
+          OR: [
+            { lastWeeklyDigestAt: null },
+            { lastWeeklyDigestAt: { lt: new Date(now.getTime() - MIN_DIGEST_GAP_MS) } },
+          ],
+        },
+        {
+          OR: [
+            { preferences: null },
+            { preferences: { is: { weeklyDigest: true, notificationsEnabled: true } } },
+          ],
+        },
+      ],
+    },
+    select: {
+      id: true,
+      preferences: {
+        select: {
+          timezone: true,
+          quietHoursEnabled: true,
+          quietHoursStart: true,
+          quietHoursEnd: true,
+        },
+      },
+    },
+  });
+
+  let sent = 0;
+  for (const user of candidates) {
+    try {
+      if (await sendDigest(user.id, user.preferences, now)) sent++;
+    } catch (error) {
+      logger.error(`[WeeklyDigest] Failed for user ${user.id}: ${error.message}`);
+    }
+  }
+
+  if (sent > 0) {
+    logger.info(`[WeeklyDigest] Sent ${sent} digest(s)`);
+  }
+  return sent;
+}
+
+/**
+ * Claim and send one user's digest if it is due
+ * @param {string} userId
+ * @param {object|null} preferences - null when the user has none saved
+ * @param {Date} now
+ * @returns {Promise<boolean>} Whether a push was sent
+ */
+async function sendDigest(userId, preferences, now) {
+  const timeZone = preferences?.timezone || DEFAULT_TIMEZONE;
+  const weekStart = getWeekStart(now, timeZone);
+
+  if (now < localToUtc(weekStart, DELIVERY_TIME, timeZone)) {
+    return false;
+  }
+
+  // Wait until quiet hours end rather than have the summary suppressed
+  if (isInQuietHours(preferences, now)) {
+    return false;
+  }
+
+  const weekBoundary = localToUtc(weekStart, '00:00', timeZone);
+  if (!(await claimDigest(userId, weekBoundary, now))) {
+    return false; // Already sent this week
+  }
+
+  const digest = await buildWeeklyDigest(userId, {
+    weekStart: addDays(weekStart, -7),
+    timeZone,
+  });
+
+  // Nothing to report for a week without trips
+  if (digest.totalTrips === 0) return false;
+
+  await sendWeeklySummary(userId, digest);
+  return true;
+}
+
+/**
+ * Mark this week's digest as sent, unless another instance already did
+ * @returns {Promise<boolean>} Whether this call made the claim
+ */
+async function claimDigest(userId, weekBoundary, now) {
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: userId,
+      OR: [{ lastWeeklyDigestAt: null }, { lastWeeklyDigestAt: { lt: weekBoundary } }],
+    },
+    data: { lastWeeklyDigestAt: now },
+  });
+  return count > 0;
+}
+
+module.exports = {
+  POLL_INTERVAL_MS,
+  sendWeeklyDigests,
+};
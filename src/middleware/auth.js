@@ -1,10 +1,24 @@
 const jwt = require('jsonwebtoken');
 const prisma = require('../utils/prisma');
 const logger = require('../utils/logger');
+const { TOKEN_AUDIENCE: DEVICE_TOKEN_AUDIENCE, verifyDeviceToken } = require('../services/deviceTokens');
 
 // JWT secret - should be in env vars
 const JWT_SECRET = process.env.JWT_SECRET || 'yalla-jwt-secret-change-in-production';
 
+/**
+ * Verify an account token
+ * Vibe device tokens are signed with the same secret, so they're told apart by audience
+ * @returns {object} Decoded payload
+ */
+function verifyAccountToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.aud === DEVICE_TOKEN_AUDIENCE) {
+    throw new Error('Device token used as account token');
+  }
+  return decoded;
+}
+
 /**
  * Middleware to verify JWT token and load user
  * Attaches user to req.user if valid
@@ -18,7 +32,7 @@ async function requireAuth(req, res, next) {
   }
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyAccountToken(token);
     req.userId = decoded.userId;
 
     // Load full user object
@@ -51,11 +65,12 @@ async function optionalAuth(req, res, next) {
   }
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyAccountToken(token);
     req.userId = decoded.userId;
 
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
+      include: { preferences: true },
     });
 
     if (user) {
@@ -68,4 +83,30 @@ async function optionalAuth(req, res, next) {
   next();
 }
 
-module.exports = { requireAuth, optionalAuth };
+/**
+ * Middleware to verify an anonymous device token (X-Device-Token header)
+ * Attaches the device to req.device and its ID to req.anonymousId
+ */
+async function requireDeviceToken(req, res, next) {
+  const token = req.headers['x-device-token'];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Device token required' });
+  }
+
+  try {
+    const device = await verifyDeviceToken(token);
+    if (!device) {
+      return res.status(401).json({ error: 'Invalid or expired device token' });
+    }
+
+    req.device = device;
+    req.anonymousId = device.id;
+    next();
+  } catch (err) {
+    logger.error('Device token error:', err.message);
+    return res.status(500).json({ error: 'Failed to verify device token' });
+  }
+}
+
+module.exports = { verifyAccountToken, requireAuth, optionalAuth, requireDeviceToken };
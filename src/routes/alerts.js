@@ -0,0 +1,368 @@
+const express = require('express');
+const prisma = require('../utils/prisma');
+const { requireAuth } = require('../middleware/auth');
+const { plannedScheduleFor } = require('../jobs/departureAlerts');
+const { isValidCoordinate } = require('../utils/geo');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+// Limits for user-supplied schedules
+const MAX_BUFFER_MINUTES = 120;
+const MAX_DAYS_AHEAD = 30;
+const MAX_PENDING_ALERTS = 50;
+// Snooze length for the "Snooze 10 min" notification action
+const DEFAULT_SNOOZE_MINUTES = 10;
+const MAX_SNOOZE_MINUTES = 60;
+
+/**
+ * Validate an event time and buffer from a request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSchedule(eventTime, bufferMinutes) {
+  if (eventTime !== undefined) {
+    const time = new Date(eventTime);
+    if (isNaN(time.getTime())) {
+      return 'eventTime must be a valid ISO 8601 date';
+    }
+    if (time <= new Date()) {
+      return 'eventTime must be in the future';
+    }
+    if (time > new Date(Date.now() + MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000)) {
+      return `eventTime must be within ${MAX_DAYS_AHEAD} days`;
+    }
+  }
+
+  if (bufferMinutes !== undefined) {
+    if (!Number.isInteger(bufferMinutes) || bufferMinutes < 0 || bufferMinutes > MAX_BUFFER_MINUTES) {
+      return `bufferMinutes must be an integer between 0 and ${MAX_BUFFER_MINUTES}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a destination from either coordinates or a saved place id
+ * @returns {Promise<object>} { destination } or { error }
+ */
+async function resolveDestination(userId, { destination, destinationPlaceId }) {
+  if (destinationPlaceId) {
+    const place = await prisma.savedPlace.findFirst({
+      where: { id: destinationPlaceId, userId },
+    });
+
+    if (!place) {
+      return { error: 'Saved place not found' };
+    }
+
+    return {
+      destination: {
+        destinationName: place.name,
+        destinationLat: place.latitude,
+        destinationLng: place.longitude,
+        savedPlaceId: place.id,
+      },
+    };
+  }
+
+  if (destination) {
+    if (!destination.name || !isValidCoordinate(destination.lat, destination.lng)) {
+      return { error: 'destination requires name, lat and lng' };
+    }
+
+    return {
+      destination: {
+        destinationName: destination.name,
+        destinationLat: destination.lat,
+        destinationLng: destination.lng,
+        savedPlaceId: null,
+      },
+    };
+  }
+
+  return { error: 'destination or destinationPlaceId is required' };
+}
+
+/**
+ * Whether the user has a home place for alerts without an origin to start from
+ */
+async function hasHomePlace(userId) {
+  const home = await prisma.savedPlace.findFirst({
+    where: { userId, placeType: 'home' },
+  });
+  return Boolean(home);
+}
+
+/**
+ * GET /api/alerts
+ * List the user's upcoming departure alerts
+ * Query params:
+ *   - status: pending (default), sent, cancelled, expired or all
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const where = {
+      userId: req.user.id,
+      eventTime: { gt: new Date() },
+    };
+
+    if (status !== 'all') {
+      where.status = status;
+    }
+
+    const alerts = await prisma.scheduledAlert.findMany({
+      where,
+      orderBy: { eventTime: 'asc' },
+    });
+
+    res.json({ alerts });
+  } catch (error) {
+    logger.error('Get alerts error:', error.message);
+    res.status(500).json({ error: 'Failed to get alerts' });
+  }
+});
+
+/**
+ * POST /api/alerts
+ * Create a departure alert
+ * Body:
+ *   - destination: { name, lat, lng } or destinationPlaceId (saved place)
+ *   - eventTime: When the user needs to arrive (ISO 8601)
+ *   - bufferMinutes: Optional extra margin (default 5)
+ *   - origin: Optional { lat, lng } (defaults to the user's home place)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { eventTime, bufferMinutes, origin } = req.body;
+
+    if (!eventTime) {
+      return res.status(400).json({ error: 'eventTime is required' });
+    }
+
+    const scheduleError = validateSchedule(eventTime, bufferMinutes);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    if (origin && !isValidCoordinate(origin.lat, origin.lng)) {
+      return res.status(400).json({ error: 'origin requires lat and lng' });
+    }
+
+    const { destination, error } = await resolveDestination(req.user.id, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Without an origin the worker falls back to home, so one of them must exist
+    if (!origin && !(await hasHomePlace(req.user.id))) {
+      return res.status(400).json({ error: 'origin is required when no home place is saved' });
+    }
+
+    const pendingCount = await prisma.scheduledAlert.count({
+      where: { userId: req.user.id, status: 'pending' },
+    });
+    if (pendingCount >= MAX_PENDING_ALERTS) {
+      return res.status(400).json({ error: `Maximum ${MAX_PENDING_ALERTS} pending alerts allowed` });
+    }
+
+    const data = {
+      userId: req.user.id,
+      ...destination,
+      originLat: origin?.lat ?? null,
+      originLng: origin?.lng ?? null,
+      eventTime: new Date(eventTime),
+      bufferMinutes: bufferMinutes ?? 5,
+    };
+
+    const alert = await prisma.scheduledAlert.create({
+      data: {
+        ...data,
+        scheduledFor: await plannedScheduleFor(data),
+      },
+    });
+
+    res.status(201).json({ alert });
+  } catch (error) {
+    logger.error('Create alert error:', error.message);
+    res.status(500).json({ error: 'Failed to create alert' });
+  }
+});
+
+/**
+ * GET /api/alerts/:id
+ * Get a specific alert
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const alert = await prisma.scheduledAlert.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({ alert });
+  } catch (error) {
+    logger.error('Get alert error:', error.message);
+    res.status(500).json({ error: 'Failed to get alert' });
+  }
+});
+
+/**
+ * PATCH /api/alerts/:id
+ * Edit a pending alert (destination, eventTime, bufferMinutes or origin)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const alert = await prisma.scheduledAlert.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    if (alert.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending alerts can be edited' });
+    }
+
+    const { eventTime, bufferMinutes, origin, destination, destinationPlaceId } = req.body;
+
+    const scheduleError = validateSchedule(eventTime, bufferMinutes);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    const data = {};
+
+    if (origin !== undefined) {
+      if (origin !== null && !isValidCoordinate(origin.lat, origin.lng)) {
+        return res.status(400).json({ error: 'origin requires lat and lng' });
+      }
+      if (origin === null && !(await hasHomePlace(req.user.id))) {
+        return res.status(400).json({ error: 'origin is required when no home place is saved' });
+      }
+      data.originLat = origin?.lat ?? null;
+      data.originLng = origin?.lng ?? null;
+    }
+
+    if (destination || destinationPlaceId) {
+      const resolved = await resolveDestination(req.user.id, { destination, destinationPlaceId });
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      Object.assign(data, resolved.destination);
+    }
+
+    const time = eventTime !== undefined ? new Date(eventTime) : alert.eventTime;
+    const buffer = bufferMinutes ?? alert.bufferMinutes;
+    if (eventTime !== undefined) data.eventTime = time;
+    if (bufferMinutes !== undefined) data.bufferMinutes = buffer;
+
+    // Re-plan the schedule; the lease is left alone so a worker that holds it
+    // stays the only owner, and the new details are used from its next check
+    data.scheduledFor = await plannedScheduleFor({ ...alert, ...data, eventTime: time, bufferMinutes: buffer });
+
+    // Scoped to pending so an alert the worker just sent is not reopened
+    const { count } = await prisma.scheduledAlert.updateMany({
+      where: { id: alert.id, status: 'pending' },
+      data,
+    });
+
+    if (count === 0) {
+      return res.status(409).json({ error: 'Alert was sent while being edited' });
+    }
+
+    const updated = await prisma.scheduledAlert.findUnique({
+      where: { id: alert.id },
+    });
+
+    res.json({ alert: updated });
+  } catch (error) {
+    logger.error('Update alert error:', error.message);
+    res.status(500).json({ error: 'Failed to update alert' });
+  }
+});
+
+/**
+ * POST /api/alerts/:id/snooze
+ * Remind again later (the "Snooze 10 min" notification action)
+ * Body: { minutes } - optional, defaults to 10
+ */
+router.post('/:id/snooze', async (req, res) => {
+  try {
+    const { minutes = DEFAULT_SNOOZE_MINUTES } = req.body;
+
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+      return res.status(400).json({ error: `minutes must be an integer between 1 and ${MAX_SNOOZE_MINUTES}` });
+    }
+
+    const alert = await prisma.scheduledAlert.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const remindAt = new Date(Date.now() + minutes * 60 * 1000);
+    if (remindAt >= alert.eventTime) {
+      return res.status(400).json({ error: 'Snoozing would run past the event time' });
+    }
+
+    // Back to pending, locked until the snooze ends so the worker leaves it alone until then
+    const { count } = await prisma.scheduledAlert.updateMany({
+      where: { id: alert.id, status: { in: ['pending', 'sent'] } },
+      data: { status: 'pending', scheduledFor: remindAt, lockedUntil: remindAt },
+    });
+
+    if (count === 0) {
+      return res.status(409).json({ error: `Alert is ${alert.status}` });
+    }
+
+    const updated = await prisma.scheduledAlert.findUnique({ where: { id: alert.id } });
+    res.json({ alert: updated });
+  } catch (error) {
+    logger.error('Snooze alert error:', error.message);
+    res.status(500).json({ error: 'Failed to snooze alert' });
+  }
+});
+
+/**
+ * DELETE /api/alerts/:id
+ * Cancel a pending alert
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const alert = await prisma.scheduledAlert.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const { count } = await prisma.scheduledAlert.updateMany({
+      where: { id: alert.id, status: 'pending' },
+      data: { status: 'cancelled', lockedUntil: null },
+    });
+
+    if (count === 0) {
+      return res.status(409).json({ error: 'Only pending alerts can be cancelled' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Cancel alert error:', error.message);
+    res.status(500).json({ error: 'Failed to cancel alert' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const appleSignIn = require('apple-signin-auth');
 const prisma = require('../utils/prisma');
 const logger = require('../utils/logger');
+const { verifyAccountToken } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -274,14 +275,13 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) {
-      logger.warn('Invalid token:', err.message);
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
-    req.userId = decoded.userId;
-    next();
-  });
+  try {
+    req.userId = verifyAccountToken(token).userId;
+  } catch (err) {
+    logger.warn('Invalid token:', err.message);
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+  next();
 }
 
 /**
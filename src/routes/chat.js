@@ -6,6 +6,7 @@
 
 const express = require('express');
 const { chat } = require('../services/yallaChatService');
+const { optionalAuth } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -19,12 +20,14 @@ const router = express.Router();
  *   - userLocation: { lat, lon } - optional user location for context
  *   - conversationHistory: Array of previous messages (optional)
  *
+ * Signed-in users' route preferences are applied to route tools.
+ *
  * Response:
  *   - success: boolean
  *   - message: The assistant's response
  *   - toolsUsed: Array of tools that were called
  */
-router.post('/', async (req, res) => {
+router.post('/', optionalAuth, async (req, res) => {
   try {
     const { message, userLocation, conversationHistory } = req.body;
 
@@ -59,6 +62,7 @@ router.post('/', async (req, res) => {
     const result = await chat(message, {
       userLocation,
       conversationHistory: limitedHistory,
+      preferences: req.user?.preferences,
     });
 
     res.json(result);
@@ -0,0 +1,356 @@
+const express = require('express');
+const prisma = require('../utils/prisma');
+const { requireAuth } = require('../middleware/auth');
+const { DEFAULT_TIMEZONE, getLocalParts, localToUtc } = require('../utils/time');
+const { getRouteSummary, resolveRouteOptions } = require('../services/routing');
+const { getTypicalDuration } = require('../services/travelTimes');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+// UAE working week - the weekend is Saturday and Sunday (0 = Sunday)
+const DEFAULT_COMMUTE_DAYS = [1, 2, 3, 4, 5];
+const MAX_BUFFER_MINUTES = 120;
+const MAX_COMMUTES = 10;
+
+// Live and usual durations this close count as a usual day (the larger of the two)
+const USUAL_MARGIN_SECONDS = 120;
+const USUAL_MARGIN_RATIO = 0.1;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate commute fields from a request body (only the fields present)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCommute({ days, arriveBy, bufferMinutes, isActive }) {
+  if (days !== undefined) {
+    if (
+      !Array.isArray(days) || days.length === 0 ||
+      !days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+    ) {
+      return 'days must be a non-empty array of weekdays (0 = Sunday ... 6 = Saturday)';
+    }
+  }
+
+  if (arriveBy !== undefined && !TIME_PATTERN.test(arriveBy)) {
+    return 'arriveBy must be a time in HH:mm format';
+  }
+
+  if (bufferMinutes !== undefined) {
+    if (!Number.isInteger(bufferMinutes) || bufferMinutes < 0 || bufferMinutes > MAX_BUFFER_MINUTES) {
+      return `bufferMinutes must be an integer between 0 and ${MAX_BUFFER_MINUTES}`;
+    }
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return 'isActive must be true or false';
+  }
+
+  return null;
+}
+
+/**
+ * Whether a value is a real "YYYY-MM-DD" date
+ */
+function isValidDate(date) {
+  return typeof date === 'string' && DATE_PATTERN.test(date) && !isNaN(new Date(date).getTime());
+}
+
+/**
+ * Remove reminders already generated for a commute that haven't been sent yet
+ * The generator recreates them from the current schedule on its next run
+ */
+async function deletePendingReminders(commuteId, where = {}) {
+  await prisma.scheduledAlert.deleteMany({
+    where: { commuteId, status: 'pending', ...where },
+  });
+}
+
+/**
+ * Find a commute owned by the current user
+ */
+function findOwnCommute(req) {
+  return prisma.commute.findFirst({
+    where: { id: req.params.id, userId: req.user.id },
+  });
+}
+
+/**
+ * GET /api/commutes
+ * List the user's recurring commutes
+ */
+router.get('/', async (req, res) => {
+  try {
+    const commutes = await prisma.commute.findMany({
+      where: { userId: req.user.id },
+      include: { originPlace: true, destinationPlace: true },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    res.json({ commutes });
+  } catch (error) {
+    logger.error('Get commutes error:', error.message);
+    res.status(500).json({ error: 'Failed to get commutes' });
+  }
+});
+
+/**
+ * POST /api/commutes
+ * Create a recurring commute
+ * Body:
+ *   - originPlaceId, destinationPlaceId: Saved place ids (required)
+ *   - arriveBy: Local arrival time "HH:mm" (required)
+ *   - days: Weekdays, 0 = Sunday ... 6 = Saturday (default Monday-Friday)
+ *   - bufferMinutes: Optional extra margin (default 5)
+ *   - name: Optional label, defaults to "Origin → Destination"
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { originPlaceId, destinationPlaceId, arriveBy, days, bufferMinutes, name } = req.body;
+
+    if (!originPlaceId || !destinationPlaceId || !arriveBy) {
+      return res.status(400).json({ error: 'originPlaceId, destinationPlaceId, and arriveBy are required' });
+    }
+
+    if (originPlaceId === destinationPlaceId) {
+      return res.status(400).json({ error: 'Origin and destination must be different places' });
+    }
+
+    const validationError = validateCommute(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const places = await prisma.savedPlace.findMany({
+      where: { id: { in: [originPlaceId, destinationPlaceId] }, userId: req.user.id },
+    });
+    const originPlace = places.find((p) => p.id === originPlaceId);
+    const destinationPlace = places.find((p) => p.id === destinationPlaceId);
+
+    if (!originPlace || !destinationPlace) {
+      return res.status(404).json({ error: 'Saved place not found' });
+    }
+
+    const count = await prisma.commute.count({ where: { userId: req.user.id } });
+    if (count >= MAX_COMMUTES) {
+      return res.status(400).json({ error: `Maximum ${MAX_COMMUTES} commutes allowed` });
+    }
+
+    const commute = await prisma.commute.create({
+      data: {
+        userId: req.user.id,
+        name: name || `${originPlace.name} → ${destinationPlace.name}`,
+        originPlaceId,
+        destinationPlaceId,
+        arriveBy,
+        days: [...new Set(days || DEFAULT_COMMUTE_DAYS)].sort(),
+        bufferMinutes: bufferMinutes ?? 5,
+      },
+      include: { originPlace: true, destinationPlace: true },
+    });
+
+    res.status(201).json({ commute });
+  } catch (error) {
+    logger.error('Create commute error:', error.message);
+    res.status(500).json({ error: 'Failed to create commute' });
+  }
+});
+
+/**
+ * PATCH /api/commutes/:id
+ * Update a commute's schedule, name or active state
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const commute = await findOwnCommute(req);
+
+    if (!commute) {
+      return res.status(404).json({ error: 'Commute not found' });
+    }
+
+    const validationError = validateCommute(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { name, arriveBy, days, bufferMinutes, isActive } = req.body;
+
+    const updated = await prisma.commute.update({
+      where: { id: commute.id },
+      data: {
+        ...(name !== undefined && { name }),
+        ...(arriveBy !== undefined && { arriveBy }),
+        ...(days !== undefined && { days: [...new Set(days)].sort() }),
+        ...(bufferMinutes !== undefined && { bufferMinutes }),
+        ...(isActive !== undefined && { isActive }),
+      },
+      include: { originPlace: true, destinationPlace: true },
+    });
+
+    // Schedule changed - drop reminders generated from the old one
+    if (arriveBy !== undefined || days !== undefined || bufferMinutes !== undefined || isActive === false) {
+      await deletePendingReminders(commute.id);
+    }
+
+    res.json({ commute: updated });
+  } catch (error) {
+    logger.error('Update commute error:', error.message);
+    res.status(500).json({ error: 'Failed to update commute' });
+  }
+});
+
+/**
+ * DELETE /api/commutes/:id
+ * Delete a commute (and its reminders)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const commute = await findOwnCommute(req);
+
+    if (!commute) {
+      return res.status(404).json({ error: 'Commute not found' });
+    }
+
+    await prisma.commute.delete({
+      where: { id: commute.id },
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete commute error:', error.message);
+    res.status(500).json({ error: 'Failed to delete commute' });
+  }
+});
+
+/**
+ * GET /api/commutes/:id/travel-time
+ * Usual vs now: the typical duration of this commute at the current day and time
+ * (learned from recorded trips) next to the live traffic estimate
+ * usual is null until enough trips have been recorded
+ */
+router.get('/:id/travel-time', async (req, res) => {
+  try {
+    const commute = await prisma.commute.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { originPlace: true, destinationPlace: true },
+    });
+
+    if (!commute) {
+      return res.status(404).json({ error: 'Commute not found' });
+    }
+
+    const origin = { lat: commute.originPlace.latitude, lng: commute.originPlace.longitude };
+    const destination = { lat: commute.destinationPlace.latitude, lng: commute.destinationPlace.longitude };
+    const timeZone = req.user.preferences?.timezone || DEFAULT_TIMEZONE;
+    const now = new Date();
+
+    const [usual, live] = await Promise.all([
+      getTypicalDuration(origin, destination, now, timeZone),
+      getRouteSummary(origin, destination, { routeOptions: resolveRouteOptions(req.user.preferences) }),
+    ]);
+
+    let differenceSeconds = null;
+    let comparison = null;
+    if (usual) {
+      differenceSeconds = live.travelTimeSeconds - usual.durationSeconds;
+      const margin = Math.max(USUAL_MARGIN_SECONDS, usual.durationSeconds * USUAL_MARGIN_RATIO);
+      if (differenceSeconds > margin) comparison = 'slower';
+      else if (differenceSeconds < -margin) comparison = 'faster';
+      else comparison = 'usual';
+    }
+
+    res.json({
+      commuteId: commute.id,
+      usual,
+      now: {
+        travelTimeSeconds: live.travelTimeSeconds,
+        delaySeconds: live.delaySeconds,
+        arrivalTime: live.arrivalTime,
+      },
+      differenceSeconds,
+      comparison,
+    });
+  } catch (error) {
+    logger.error('Get commute travel time error:', error.message);
+    res.status(500).json({ error: 'Failed to get commute travel time' });
+  }
+});
+
+/**
+ * POST /api/commutes/:id/skip
+ * Mark a local date as off (no reminder that day)
+ * Body: { date: "YYYY-MM-DD" }
+ */
+router.post('/:id/skip', async (req, res) => {
+  try {
+    const { date } = req.body;
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+
+    const commute = await findOwnCommute(req);
+
+    if (!commute) {
+      return res.status(404).json({ error: 'Commute not found' });
+    }
+
+    const timeZone = req.user.preferences?.timezone || DEFAULT_TIMEZONE;
+    const today = getLocalParts(new Date(), timeZone).date;
+
+    // Keep only upcoming dates so the list doesn't grow forever
+    const skipDates = [...new Set([...commute.skipDates, date])]
+      .filter((d) => d >= today)
+      .sort();
+
+    const updated = await prisma.commute.update({
+      where: { id: commute.id },
+      data: { skipDates },
+    });
+
+    // Drop the reminder if it was already generated for that day
+    await deletePendingReminders(commute.id, {
+      eventTime: localToUtc(date, commute.arriveBy, timeZone),
+    });
+
+    res.json({ commute: updated });
+  } catch (error) {
+    logger.error('Skip commute error:', error.message);
+    res.status(500).json({ error: 'Failed to skip commute' });
+  }
+});
+
+/**
+ * DELETE /api/commutes/:id/skip/:date
+ * Undo a skipped date
+ */
+router.delete('/:id/skip/:date', async (req, res) => {
+  try {
+    if (!isValidDate(req.params.date)) {
+      return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+
+    const commute = await findOwnCommute(req);
+
+    if (!commute) {
+      return res.status(404).json({ error: 'Commute not found' });
+    }
+
+    const updated = await prisma.commute.update({
+      where: { id: commute.id },
+      data: { skipDates: commute.skipDates.filter((d) => d !== req.params.date) },
+    });
+
+    res.json({ commute: updated });
+  } catch (error) {
+    logger.error('Unskip commute error:', error.message);
+    res.status(500).json({ error: 'Failed to unskip commute' });
+  }
+});
+
+module.exports = router;
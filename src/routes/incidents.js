@@ -1,7 +1,8 @@
 const express = require('express');
-const crypto = require('crypto');
 const prisma = require('../utils/prisma');
 const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { notifyUsersNearIncident } = require('../services/incidentAlerts');
+const { hashIp } = require('../utils/ip');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -16,13 +17,6 @@ const EXPIRY_HOURS = {
   other: 2,
 };
 
-/**
- * Hash IP address for anonymous voting
- */
-function hashIp(ip) {
-  return crypto.createHash('sha256').update(ip + process.env.IP_SALT || 'yalla').digest('hex').slice(0, 16);
-}
-
 /**
  * GET /api/incidents
  * Get active incidents in an area
@@ -149,7 +143,7 @@ router.post('/:id/vote', optionalAuth, async (req, res) => {
     }
 
     // Get voter identifier (user ID or hashed IP)
-    const voterIp = req.user?.id || hashIp(req.ip || req.headers['x-forwarded-for'] || 'unknown');
+    const voterIp = req.user?.id || hashIp(req.ip || 'unknown');
 
     // Check if already voted
     const existingVote = await prisma.incidentVote.findFirst({
@@ -206,10 +200,23 @@ router.post('/:id/vote', optionalAuth, async (req, res) => {
       updatedIncident.confirmations > updatedIncident.denials * 2 &&
       !updatedIncident.isVerified
     ) {
-      await prisma.incident.update({
-        where: { id: req.params.id },
+      const { count } = await prisma.incident.updateMany({
+        where: { id: req.params.id, isVerified: false },
         data: { isVerified: true },
       });
+
+      // Only the vote that verified it alerts affected commuters (don't hold up the response)
+      if (count === 1) {
+        notifyUsersNearIncident({
+          key: `community:${updatedIncident.id}`,
+          type: updatedIncident.type,
+          severity: updatedIncident.severity,
+          lat: updatedIncident.latitude,
+          lng: updatedIncident.longitude,
+          roadName: updatedIncident.roadName,
+          excludeUserId: updatedIncident.reportedBy,
+        }).catch((err) => logger.error('Incident alert error:', err.message));
+      }
     }
 
     // Auto-resolve if too many denials
@@ -1,10 +1,41 @@
 const express = require('express');
+const prisma = require('../utils/prisma');
 const tomtom = require('../utils/tomtom');
 const { getOrFetch } = require('../utils/cache');
+const { optionalAuth } = require('../middleware/auth');
+const {
+  ROUTE_TYPES,
+  compareDepartureTimes,
+  getMultiStopRoute,
+  planArriveBy,
+  resolveRouteOptions,
+  getRouteParams,
+  getRouteOptionsKey,
+} = require('../services/routing');
+const { estimateRouteTolls } = require('../services/tolls');
+const { getCommunityContext } = require('../services/communityRisk');
+const { ROUTE_SCHEMA_VERSION, getGuidanceLanguage, formatRoute } = require('../services/routeFormat');
+const { isValidCoordinate, getRoutePoints } = require('../utils/geo');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Stops per multi-stop route, including start and end
+const MAX_STOPS = 12;
+// How far ahead arrive-by plans can be made (predictive traffic)
+const MAX_ARRIVE_BY_DAYS = 30;
+
+/**
+ * Parse an optional boolean query param, or a JSON body field
+ * @returns {boolean|undefined|null} undefined when absent, null when invalid
+ */
+function parseBooleanParam(value) {
+  if (value === undefined || typeof value === 'boolean') return value;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+}
+
 /**
  * GET /api/routing/route
  * Calculate route between two points
@@ -14,8 +45,20 @@ const router = express.Router();
  *   - departAt: Optional departure time (ISO 8601)
  *   - alternatives: Number of alternative routes (0-5, default 3)
  *   - traffic: Include traffic (default true)
+ *   - routeType: fastest, shortest or eco
+ *   - avoidTolls, avoidHighways: true or false
+ *   - raw: true to get the TomTom response instead of the route schema
+ * Returns { schemaVersion, routes, routeOptions, _cached } with routes in the schema documented
+ * in services/routeFormat.js (summary, legs, encoded polyline, traffic sections, guidance).
+ * Guidance is in the signed-in user's language. With raw=true the TomTom JSON is passed through.
+ * Signed-in users get their stored route preferences; the query params above override them.
+ * The options used are echoed back as routeOptions.
+ * Each route (in both formats) carries tolls: the Salik gates it passes and the estimated cost in AED.
+ * Each route also carries community: our incident reports and vibe clusters along it and a
+ * risk summary ({ level: none|low|medium|high, score, counts, summary }). It is looked up on
+ * every request, not cached with the route, and is null if the lookup fails.
  */
-router.get('/route', async (req, res) => {
+router.get('/route', optionalAuth, async (req, res) => {
   try {
     const {
       originLat,
@@ -25,6 +68,7 @@ router.get('/route', async (req, res) => {
       departAt,
       alternatives = 3,
       traffic = 'true',
+      routeType,
     } = req.query;
 
     if (!originLat || !originLng || !destLat || !destLng) {
@@ -33,15 +77,35 @@ router.get('/route', async (req, res) => {
       });
     }
 
+    if (routeType !== undefined && !ROUTE_TYPES.includes(routeType)) {
+      return res.status(400).json({ error: `routeType must be one of: ${ROUTE_TYPES.join(', ')}` });
+    }
+
+    const avoidTolls = parseBooleanParam(req.query.avoidTolls);
+    const avoidHighways = parseBooleanParam(req.query.avoidHighways);
+    if (avoidTolls === null || avoidHighways === null) {
+      return res.status(400).json({ error: 'avoidTolls and avoidHighways must be true or false' });
+    }
+
+    const isRaw = parseBooleanParam(req.query.raw);
+    if (isRaw === null) {
+      return res.status(400).json({ error: 'raw must be true or false' });
+    }
+
+    const routeOptions = resolveRouteOptions(req.user?.preferences, { routeType, avoidTolls, avoidHighways });
+    // Guidance is only requested for the route schema so the raw passthrough stays unchanged
+    const guidanceLanguage = isRaw ? null : getGuidanceLanguage(req.user?.preferences);
+
     // Create cache key (without departAt for "now" routes to enable caching)
+    // Route options are part of the key so users with different preferences never share routes
     const isNow = !departAt;
     const cacheKey = isNow
-      ? `route:${originLat}:${originLng}:${destLat}:${destLng}:${alternatives}`
+      ? `route:${originLat}:${originLng}:${destLat}:${destLng}:${alternatives}:${traffic}:${getRouteOptionsKey(routeOptions)}:${guidanceLanguage || 'raw'}`
       : null;
 
     const fetchRoute = async () => {
       const params = {
-        routeType: 'fastest',
+        ...getRouteParams(routeOptions),
         traffic: traffic === 'true',
         travelMode: 'car',
         maxAlternatives: Math.min(parseInt(alternatives), 5),
@@ -54,12 +118,23 @@ router.get('/route', async (req, res) => {
         params.departAt = departAt;
       }
 
+      if (guidanceLanguage) {
+        params.instructionsType = 'text';
+        params.language = guidanceLanguage;
+      }
+
       const response = await tomtom.get(
         `/routing/1/calculateRoute/${originLat},${originLng}:${destLat},${destLng}/json`,
         { params }
       );
 
-      return response.data;
+      return {
+        ...response.data,
+        routes: (response.data.routes || []).map((route) => ({
+          ...route,
+          tolls: estimateRouteTolls(route),
+        })),
+      };
     };
 
     let result;
@@ -69,8 +144,29 @@ router.get('/route', async (req, res) => {
       result = { data: await fetchRoute(), cached: false };
     }
 
+    const routes = result.data.routes || [];
+    let community = routes.map(() => null);
+    try {
+      community = await getCommunityContext(routes.map(getRoutePoints));
+    } catch (error) {
+      logger.warn('Community risk lookup failed:', error.message);
+    }
+
+    const enriched = routes.map((route, index) => ({ ...route, community: community[index] }));
+
+    if (isRaw) {
+      return res.json({
+        ...result.data,
+        routes: enriched,
+        routeOptions,
+        _cached: result.cached,
+      });
+    }
+
     res.json({
-      ...result.data,
+      schemaVersion: ROUTE_SCHEMA_VERSION,
+      routes: enriched.map(formatRoute),
+      routeOptions,
       _cached: result.cached,
     });
   } catch (error) {
@@ -79,6 +175,150 @@ router.get('/route', async (req, res) => {
   }
 });
 
+/**
+ * Resolve multi-stop stops, looking up saved places by id
+ * @returns {Promise<object>} { stops } or { status, error }
+ */
+async function resolveStops(stops, user) {
+  const placeIds = stops.filter((stop) => stop?.placeId).map((stop) => stop.placeId);
+
+  if (placeIds.length > 0 && !user) {
+    return { status: 401, error: 'Sign in to use saved places as stops' };
+  }
+
+  const places = placeIds.length > 0
+    ? await prisma.savedPlace.findMany({ where: { id: { in: placeIds }, userId: user.id } })
+    : [];
+  const placesById = new Map(places.map((place) => [place.id, place]));
+
+  const resolved = [];
+  for (const [index, stop] of stops.entries()) {
+    if (stop?.placeId) {
+      const place = placesById.get(stop.placeId);
+      if (!place) {
+        return { status: 404, error: `Saved place not found: ${stop.placeId}` };
+      }
+      resolved.push({ lat: place.latitude, lng: place.longitude, name: place.name, placeId: place.id });
+    } else if (stop && isValidCoordinate(stop.lat, stop.lng)) {
+      resolved.push({ lat: stop.lat, lng: stop.lng, name: stop.name || null, placeId: null });
+    } else {
+      return { status: 400, error: `stops[${index}] requires lat and lng, or placeId` };
+    }
+  }
+
+  return { stops: resolved };
+}
+
+/**
+ * POST /api/routing/multi-stop
+ * Calculate a route through several stops (e.g. school, pharmacy, then office)
+ * Body:
+ *   - stops: [{ lat, lng, name } or { placeId }] - first is the start, last the end (2-12 stops)
+ *   - optimize: Reorder the stops in between to shorten the total distance (default false).
+ *     TomTom's heuristic works on distance, so the order isn't guaranteed to be the fastest in traffic.
+ *   - departAt: Optional departure time (ISO 8601)
+ *   - routeType, avoidTolls, avoidHighways: Override the user's route preferences
+ * Saved place ids need a signed-in user. Legs reference stops by their index in the request.
+ */
+router.post('/multi-stop', optionalAuth, async (req, res) => {
+  try {
+    const { stops, optimize = false, departAt, routeType } = req.body;
+
+    if (!Array.isArray(stops) || stops.length < 2 || stops.length > MAX_STOPS) {
+      return res.status(400).json({ error: `stops must be an array of 2 to ${MAX_STOPS} stops` });
+    }
+
+    if (typeof optimize !== 'boolean') {
+      return res.status(400).json({ error: 'optimize must be true or false' });
+    }
+
+    if (routeType !== undefined && !ROUTE_TYPES.includes(routeType)) {
+      return res.status(400).json({ error: `routeType must be one of: ${ROUTE_TYPES.join(', ')}` });
+    }
+
+    const avoidTolls = parseBooleanParam(req.body.avoidTolls);
+    const avoidHighways = parseBooleanParam(req.body.avoidHighways);
+    if (avoidTolls === null || avoidHighways === null) {
+      return res.status(400).json({ error: 'avoidTolls and avoidHighways must be true or false' });
+    }
+
+    if (departAt !== undefined && isNaN(new Date(departAt).getTime())) {
+      return res.status(400).json({ error: 'departAt must be a valid ISO 8601 date' });
+    }
+
+    const { stops: resolved, status, error } = await resolveStops(stops, req.user);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const routeOptions = resolveRouteOptions(req.user?.preferences, { routeType, avoidTolls, avoidHighways });
+    const route = await getMultiStopRoute(resolved, { optimize, departAt, routeOptions });
+
+    res.json({
+      stops: route.order.map((index) => ({ ...resolved[index], index })),
+      optimized: route.order.some((index, position) => index !== position),
+      summary: route.summary,
+      legs: route.legs,
+      tolls: route.tolls,
+      routeOptions,
+    });
+  } catch (error) {
+    logger.error('Multi-stop routing error:', error.message);
+    res.status(500).json({ error: error.message || 'Failed to calculate route' });
+  }
+});
+
+/**
+ * POST /api/routing/arrive-by
+ * Latest safe departure to arrive by a target time
+ * Body:
+ *   - origin: { lat, lng }
+ *   - destination: { lat, lng }
+ *   - arriveBy: Target arrival time (ISO 8601)
+ *   - routeType, avoidTolls, avoidHighways: Override the user's route preferences
+ * Returns the latest departure that arrives in time, the recommended departure with a
+ * safety buffer (and why it's that size) and a confidence level.
+ */
+router.post('/arrive-by', optionalAuth, async (req, res) => {
+  try {
+    const { origin, destination, arriveBy, routeType } = req.body;
+
+    if (!origin || !isValidCoordinate(origin.lat, origin.lng) ||
+        !destination || !isValidCoordinate(destination.lat, destination.lng)) {
+      return res.status(400).json({ error: 'origin and destination require lat and lng' });
+    }
+
+    const target = new Date(arriveBy);
+    if (!arriveBy || isNaN(target.getTime())) {
+      return res.status(400).json({ error: 'arriveBy must be a valid ISO 8601 date' });
+    }
+    if (target <= new Date()) {
+      return res.status(400).json({ error: 'arriveBy must be in the future' });
+    }
+    if (target > new Date(Date.now() + MAX_ARRIVE_BY_DAYS * 24 * 60 * 60 * 1000)) {
+      return res.status(400).json({ error: `arriveBy must be within ${MAX_ARRIVE_BY_DAYS} days` });
+    }
+
+    if (routeType !== undefined && !ROUTE_TYPES.includes(routeType)) {
+      return res.status(400).json({ error: `routeType must be one of: ${ROUTE_TYPES.join(', ')}` });
+    }
+
+    const avoidTolls = parseBooleanParam(req.body.avoidTolls);
+    const avoidHighways = parseBooleanParam(req.body.avoidHighways);
+    if (avoidTolls === null || avoidHighways === null) {
+      return res.status(400).json({ error: 'avoidTolls and avoidHighways must be true or false' });
+    }
+
+    const routeOptions = resolveRouteOptions(req.user?.preferences, { routeType, avoidTolls, avoidHighways });
+    const plan = await planArriveBy(origin, destination, target, { routeOptions });
+
+    res.json({ ...plan, routeOptions });
+  } catch (error) {
+    logger.error('Arrive-by planning error:', error.message);
+    res.status(500).json({ error: error.message || 'Failed to plan departure' });
+  }
+});
+
 /**
  * POST /api/routing/batch
  * Calculate multiple routes at different departure times
@@ -101,45 +341,7 @@ router.post('/batch', async (req, res) => {
     }
 
     // Calculate routes for each departure time in parallel
-    const routePromises = departureTimes.map(async (departAt) => {
-      try {
-        const response = await tomtom.get(
-          `/routing/1/calculateRoute/${origin.lat},${origin.lng}:${destination.lat},${destination.lng}/json`,
-          {
-            params: {
-              routeType: 'fastest',
-              traffic: true,
-              travelMode: 'car',
-              departAt,
-              computeTravelTimeFor: 'all',
-            },
-          }
-        );
-
-        const route = response.data.routes?.[0];
-        return {
-          departureTime: departAt,
-          travelTimeSeconds: route?.summary?.travelTimeInSeconds,
-          delaySeconds: route?.summary?.trafficDelayInSeconds || 0,
-          lengthMeters: route?.summary?.lengthInMeters,
-          arrivalTime: route?.summary?.arrivalTime,
-        };
-      } catch (error) {
-        return {
-          departureTime: departAt,
-          error: error.message,
-        };
-      }
-    });
-
-    const results = await Promise.all(routePromises);
-
-    // Find the best departure time
-    const validResults = results.filter((r) => r.travelTimeSeconds);
-    const best = validResults.reduce(
-      (min, r) => (r.travelTimeSeconds < min.travelTimeSeconds ? r : min),
-      validResults[0]
-    );
+    const { results, best } = await compareDepartureTimes(origin, destination, departureTimes);
 
     res.json({
       results: results.map((r) => ({
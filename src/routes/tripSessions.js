@@ -0,0 +1,193 @@
+const express = require('express');
+const prisma = require('../utils/prisma');
+const { requireAuth } = require('../middleware/auth');
+const { isValidCoordinate } = require('../utils/geo');
+const { startSession, endSession, hasArrived } = require('../services/tripSessions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+// Upper bound on app-supplied route vertices (the service thins them further)
+const MAX_ROUTE_INPUT_POINTS = 5000;
+
+/**
+ * Format a session for the API (route points are internal)
+ */
+function formatSession(session) {
+  const { routePoints, notifiedIncidentIds, lockedUntil, ...rest } = session;
+  return rest;
+}
+
+/**
+ * Find one of the user's sessions
+ */
+function findSession(userId, id) {
+  return prisma.tripSession.findFirst({
+    where: { id, userId },
+  });
+}
+
+/**
+ * POST /api/trip-sessions
+ * Start navigating a trip (ends any other active session)
+ * Body:
+ *   - origin: { lat, lng }
+ *   - destination: { lat, lng, name }
+ *   - route: Optional route being navigated [{ lat, lng }] (defaults to the fastest route)
+ *   - activityPushToken: Optional Live Activity push token
+ *   - bundleId: Optional app bundle id
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { origin, destination, route, activityPushToken, bundleId } = req.body;
+
+    if (!origin || !isValidCoordinate(origin.lat, origin.lng)) {
+      return res.status(400).json({ error: 'origin requires lat and lng' });
+    }
+
+    if (!destination || !isValidCoordinate(destination.lat, destination.lng)) {
+      return res.status(400).json({ error: 'destination requires lat and lng' });
+    }
+
+    if (route !== undefined) {
+      if (
+        !Array.isArray(route) ||
+        route.length > MAX_ROUTE_INPUT_POINTS ||
+        !route.every((p) => p && isValidCoordinate(p.lat, p.lng))
+      ) {
+        return res.status(400).json({
+          error: `route must be an array of up to ${MAX_ROUTE_INPUT_POINTS} { lat, lng } points`,
+        });
+      }
+    }
+
+    const session = await startSession(req.user.id, {
+      origin,
+      destination,
+      route,
+      activityPushToken,
+      bundleId,
+    });
+
+    res.status(201).json({ session: formatSession(session) });
+  } catch (error) {
+    logger.error('Start trip session error:', error.message);
+    res.status(500).json({ error: 'Failed to start trip session' });
+  }
+});
+
+/**
+ * GET /api/trip-sessions/active
+ * Get the user's active session, if any
+ */
+router.get('/active', async (req, res) => {
+  try {
+    const session = await prisma.tripSession.findFirst({
+      where: { userId: req.user.id, status: 'active' },
+      orderBy: { startedAt: 'desc' },
+    });
+
+    res.json({ session: session ? formatSession(session) : null });
+  } catch (error) {
+    logger.error('Get active trip session error:', error.message);
+    res.status(500).json({ error: 'Failed to get active trip session' });
+  }
+});
+
+/**
+ * GET /api/trip-sessions/:id
+ * Get a session
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await findSession(req.user.id, req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Trip session not found' });
+    }
+
+    res.json({ session: formatSession(session) });
+  } catch (error) {
+    logger.error('Get trip session error:', error.message);
+    res.status(500).json({ error: 'Failed to get trip session' });
+  }
+});
+
+/**
+ * PATCH /api/trip-sessions/:id
+ * Report the current position and/or a new Live Activity push token
+ * Reaching the destination ends the session
+ * Body: { location: { lat, lng }, activityPushToken }
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { location, activityPushToken } = req.body;
+
+    if (location !== undefined && !(location && isValidCoordinate(location.lat, location.lng))) {
+      return res.status(400).json({ error: 'location requires lat and lng' });
+    }
+
+    const session = await findSession(req.user.id, req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Trip session not found' });
+    }
+
+    if (session.status !== 'active') {
+      return res.status(409).json({ error: `Trip session is ${session.status}` });
+    }
+
+    const data = {};
+    if (location) {
+      data.currentLat = location.lat;
+      data.currentLng = location.lng;
+      data.locationUpdatedAt = new Date();
+    }
+    if (activityPushToken !== undefined) {
+      data.activityPushToken = activityPushToken;
+    }
+
+    await prisma.tripSession.updateMany({
+      where: { id: session.id, status: 'active' },
+      data,
+    });
+
+    const updated = { ...session, ...data };
+    if (location && hasArrived(updated, location)) {
+      await endSession(updated, 'arrived');
+    }
+
+    const current = await prisma.tripSession.findUnique({ where: { id: session.id } });
+    res.json({ session: formatSession(current) });
+  } catch (error) {
+    logger.error('Update trip session error:', error.message);
+    res.status(500).json({ error: 'Failed to update trip session' });
+  }
+});
+
+/**
+ * POST /api/trip-sessions/:id/end
+ * Stop navigating (ends the Live Activity)
+ */
+router.post('/:id/end', async (req, res) => {
+  try {
+    const session = await findSession(req.user.id, req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Trip session not found' });
+    }
+
+    await endSession(session, 'ended');
+
+    const current = await prisma.tripSession.findUnique({ where: { id: session.id } });
+    res.json({ session: formatSession(current) });
+  } catch (error) {
+    logger.error('End trip session error:', error.message);
+    res.status(500).json({ error: 'Failed to end trip session' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,14 @@
 const express = require('express');
 const prisma = require('../utils/prisma');
 const { requireAuth } = require('../middleware/auth');
+const { buildWeeklyDigest, getLastCompletedWeekStart } = require('../services/weeklyDigest');
+const { DEFAULT_TIMEZONE, localToUtc, getWeekStart } = require('../utils/time');
+const { decodePolyline } = require('../utils/geo');
+const { estimateTolls } = require('../services/tolls');
+const { getTypicalDuration, recordTrip } = require('../services/travelTimes');
+const { scoreTrip, findRecommendedDeparture } = require('../services/tripScoring');
+const { FORMATS, exportTrips, parseGpx } = require('../services/tripFiles');
+const { getTripAnalytics } = require('../services/tripAnalytics');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -8,6 +16,16 @@ const router = express.Router();
 // All routes require authentication
 router.use(requireAuth);
 
+// Trips per export file
+const MAX_EXPORT_TRIPS = 1000;
+// Tracks per imported GPX file
+const MAX_IMPORT_TRACKS = 200;
+const GPX_CONTENT_TYPES = ['application/gpx+xml', 'application/xml', 'text/xml'];
+
+// Rolling windows for GET /api/trips/stats
+const STATS_PERIOD_DAYS = { day: 1, week: 7, month: 30, year: 365 };
+const MAX_STATS_RANGE_DAYS = 366;
+
 /**
  * GET /api/trips
  * Get trip history with pagination
@@ -51,9 +69,74 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * Typical duration, time saved, Salik tolls and server-side score for a new trip
+ * @param {object} user - Signed-in user (with preferences)
+ * @param {object} trip - Trip fields (coordinates, departureTime, distanceMeters, durationSeconds,
+ *   delaySeconds, routePolyline)
+ * @param {object} inputs - Optional typicalDuration, recommendedDepartureTime and trafficConditions from the app
+ * @returns {Promise<object>} { typicalDuration, timeSavedSeconds, salikGateCount, salikCostAed,
+ *   tripScore, tripScoreBreakdown }
+ */
+async function deriveTripFields(user, trip, { typicalDuration, recommendedDepartureTime, trafficConditions } = {}) {
+  let typical = typicalDuration;
+  if (!typical) {
+    const estimate = await getTypicalDuration(
+      { lat: trip.originLat, lng: trip.originLng },
+      { lat: trip.destinationLat, lng: trip.destinationLng },
+      new Date(trip.departureTime),
+      user.preferences?.timezone || DEFAULT_TIMEZONE
+    );
+    typical = estimate?.durationSeconds ?? null;
+  }
+
+  const recommendedDeparture = recommendedDepartureTime
+    ? new Date(recommendedDepartureTime)
+    : await findRecommendedDeparture({ ...trip, userId: user.id });
+
+  const { score, breakdown } = scoreTrip(
+    { ...trip, typicalDuration: typical },
+    { trafficConditions, recommendedDeparture }
+  );
+
+  // Stored so statistics can total toll spend in the database
+  const tolls = trip.routePolyline
+    ? estimateTolls(decodePolyline(trip.routePolyline), trip.departureTime)
+    : null;
+
+  return {
+    typicalDuration: typical,
+    // Positive = saved time, negative = lost time
+    timeSavedSeconds: typical ? typical - trip.durationSeconds : null,
+    salikGateCount: tolls ? tolls.gateCount : null,
+    salikCostAed: tolls ? tolls.estimatedCostAed : null,
+    tripScore: score,
+    tripScoreBreakdown: JSON.stringify(breakdown),
+  };
+}
+
+/**
+ * Add a recorded trip to the typical travel time model
+ * A failure here shouldn't fail recording the trip
+ */
+async function learnFromTrip(user, trip) {
+  try {
+    await recordTrip(trip, user.preferences?.timezone || DEFAULT_TIMEZONE);
+  } catch (error) {
+    logger.warn('Travel time model update failed:', error.message);
+  }
+}
+
 /**
  * POST /api/trips
  * Record a new trip
+ * Without a typicalDuration from the app, the usual duration learned from past trips
+ * on this origin/destination at this day and time is used (when there is one).
+ * The trip is scored on the server (tripScore plus tripScoreBreakdown). Optional inputs:
+ *   - recommendedDepartureTime: When the app advised leaving (defaults to a departure alert
+ *     the user received for this destination)
+ *   - trafficConditions: { congestedMeters } or { sections: [{ lengthMeters, level }] }, plus
+ *     alternatives: [{ travelTimeSeconds }] for the other routes offered at departure
  */
 router.post('/', async (req, res) => {
   try {
@@ -72,7 +155,7 @@ router.post('/', async (req, res) => {
       durationSeconds,
       delaySeconds,
       typicalDuration,
-      tripScore,
+      recommendedDepartureTime,
       routePolyline,
       trafficConditions,
     } = req.body;
@@ -84,13 +167,26 @@ router.post('/', async (req, res) => {
     if (!departureTime || !distanceMeters || !durationSeconds) {
       return res.status(400).json({ error: 'departureTime, distanceMeters, and durationSeconds required' });
     }
-
-    // Calculate time saved
-    let timeSavedSeconds = null;
-    if (typicalDuration) {
-      timeSavedSeconds = typicalDuration - durationSeconds;
+    if (recommendedDepartureTime && isNaN(new Date(recommendedDepartureTime).getTime())) {
+      return res.status(400).json({ error: 'recommendedDepartureTime must be a valid ISO 8601 date' });
     }
 
+    const derived = await deriveTripFields(
+      req.user,
+      {
+        originLat,
+        originLng,
+        destinationLat,
+        destinationLng,
+        departureTime,
+        distanceMeters,
+        durationSeconds,
+        delaySeconds,
+        routePolyline,
+      },
+      { typicalDuration, recommendedDepartureTime, trafficConditions }
+    );
+
     const trip = await prisma.trip.create({
       data: {
         userId: req.user.id,
@@ -107,9 +203,7 @@ router.post('/', async (req, res) => {
         distanceMeters,
         durationSeconds,
         delaySeconds: delaySeconds || 0,
-        typicalDuration,
-        timeSavedSeconds,
-        tripScore,
+        ...derived,
         routePolyline,
         trafficConditions: trafficConditions ? JSON.stringify(trafficConditions) : null,
       },
@@ -130,6 +224,8 @@ router.post('/', async (req, res) => {
       });
     }
 
+    await learnFromTrip(req.user, trip);
+
     res.status(201).json({ trip });
   } catch (error) {
     logger.error('Create trip error:', error.message);
@@ -138,69 +234,174 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * GET /api/trips/stats
- * Get trip statistics
+ * Whether a query value names an export format (a repeated param arrives as an array)
  */
-router.get('/stats', async (req, res) => {
+function isExportFormat(format) {
+  return typeof format === 'string' && Object.hasOwn(FORMATS, format);
+}
+
+/**
+ * Send trips as a file download
+ */
+function sendTripFile(res, trips, format, filename) {
+  const { contentType, extension } = FORMATS[format];
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+  res.send(exportTrips(trips, format));
+}
+
+/**
+ * GET /api/trips/export
+ * Export trip history as a file
+ * Query params:
+ *   - format: gpx, geojson or kml (default gpx)
+ *   - startDate, endDate: Optional departure date range (ISO 8601)
+ * Routes come from the recorded polylines with trip details as metadata
+ * (GeoJSON properties, KML ExtendedData, GPX description). Up to 1000 trips, newest first.
+ */
+router.get('/export', async (req, res) => {
   try {
-    const { period = 'week' } = req.query;
+    const { format = 'gpx', startDate, endDate } = req.query;
 
-    // Calculate date range
-    const now = new Date();
-    let startDate;
-    switch (period) {
-      case 'day':
-        startDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-        break;
-      case 'week':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case 'month':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case 'year':
-        startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    if (!isExportFormat(format)) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+
+    const where = { userId: req.user.id };
+    if (startDate || endDate) {
+      if ((startDate && isNaN(new Date(startDate).getTime())) || (endDate && isNaN(new Date(endDate).getTime()))) {
+        return res.status(400).json({ error: 'startDate and endDate must be valid ISO 8601 dates' });
+      }
+      where.departureTime = {};
+      if (startDate) where.departureTime.gte = new Date(startDate);
+      if (endDate) where.departureTime.lte = new Date(endDate);
     }
 
     const trips = await prisma.trip.findMany({
+      where,
+      orderBy: { departureTime: 'desc' },
+      take: MAX_EXPORT_TRIPS,
+    });
+
+    sendTripFile(res, trips, format, 'yalla-trips');
+  } catch (error) {
+    logger.error('Export trips error:', error.message);
+    res.status(500).json({ error: 'Failed to export trips' });
+  }
+});
+
+/**
+ * POST /api/trips/import
+ * Import drives from a GPX file (one trip per track)
+ * Send the GPX document as the body with Content-Type application/gpx+xml.
+ * Distance is measured along the track and duration taken from its timestamps.
+ * Tracks without timestamps, and tracks starting at the same time as an existing trip,
+ * are skipped and listed with the reason.
+ */
+router.post('/import', express.text({ type: GPX_CONTENT_TYPES, limit: '10mb' }), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.includes('<gpx')) {
+      return res.status(400).json({ error: 'Send a GPX document with Content-Type application/gpx+xml' });
+    }
+
+    const tracks = parseGpx(req.body);
+    if (tracks.length === 0) {
+      return res.status(400).json({ error: 'No tracks found in the GPX document' });
+    }
+    if (tracks.length > MAX_IMPORT_TRACKS) {
+      return res.status(400).json({ error: `Maximum ${MAX_IMPORT_TRACKS} tracks per import` });
+    }
+
+    const existing = await prisma.trip.findMany({
       where: {
         userId: req.user.id,
-        departureTime: { gte: startDate },
-      },
-      select: {
-        distanceMeters: true,
-        durationSeconds: true,
-        delaySeconds: true,
-        timeSavedSeconds: true,
-        tripScore: true,
+        departureTime: { in: tracks.filter((t) => t.trip).map((t) => t.trip.departureTime) },
       },
+      select: { departureTime: true },
     });
+    const existingTimes = new Set(existing.map((trip) => trip.departureTime.getTime()));
+
+    const imported = [];
+    const skipped = [];
+    for (const [index, { name, trip, error }] of tracks.entries()) {
+      if (error) {
+        skipped.push({ index, name, reason: error });
+        continue;
+      }
+      if (existingTimes.has(trip.departureTime.getTime())) {
+        skipped.push({ index, name, reason: 'A trip starting at this time already exists' });
+        continue;
+      }
+      existingTimes.add(trip.departureTime.getTime());
+
+      // Our own exports name tracks "Origin → Destination"
+      const [originName, destinationName] = name?.includes(' → ') ? name.split(' → ') : [null, null];
 
-    // Calculate stats
-    const totalTrips = trips.length;
-    const totalDistance = trips.reduce((sum, t) => sum + t.distanceMeters, 0);
-    const totalDuration = trips.reduce((sum, t) => sum + t.durationSeconds, 0);
-    const totalDelay = trips.reduce((sum, t) => sum + (t.delaySeconds || 0), 0);
-    const totalTimeSaved = trips.reduce((sum, t) => sum + (t.timeSavedSeconds || 0), 0);
-    const avgTripScore = trips.length > 0
-      ? trips.reduce((sum, t) => sum + (t.tripScore || 0), 0) / trips.filter(t => t.tripScore).length
-      : 0;
+      const created = await prisma.trip.create({
+        data: {
+          userId: req.user.id,
+          ...trip,
+          originName,
+          destinationName,
+          ...(await deriveTripFields(req.user, trip)),
+        },
+      });
+      await learnFromTrip(req.user, created);
+
+      imported.push(created);
+    }
+
+    res.status(201).json({ imported: imported.length, trips: imported, skipped });
+  } catch (error) {
+    logger.error('Import trips error:', error.message);
+    res.status(500).json({ error: 'Failed to import trips' });
+  }
+});
+
+/**
+ * GET /api/trips/stats
+ * Get trip statistics
+ * Query params:
+ *   - period: day, week, month or year back from now (default week)
+ *   - startDate, endDate: Custom range (ISO 8601) instead of period, up to a year
+ * Returns totals (stats), breakdowns by local weekday (0 = Sunday), hour of departure and
+ * destination (matched to saved places), weekly trends with week-over-week changes and the
+ * delay percentiles. Averages are null when no trip in the range has the value.
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const { period = 'week', startDate, endDate } = req.query;
+
+    // Calculate date range
+    const now = new Date();
+    let start;
+    let end = now;
+    if (startDate || endDate) {
+      start = startDate ? new Date(startDate) : null;
+      end = endDate ? new Date(endDate) : now;
+      if (!start || isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return res.status(400).json({ error: 'startDate (and optional endDate) must be valid ISO 8601 dates' });
+      }
+      if (start >= end) {
+        return res.status(400).json({ error: 'startDate must be before endDate' });
+      }
+      if (end - start > MAX_STATS_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ error: `Date range must be at most ${MAX_STATS_RANGE_DAYS} days` });
+      }
+    } else {
+      const days = STATS_PERIOD_DAYS[period] || STATS_PERIOD_DAYS.week;
+      start = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    }
+
+    const timeZone = req.user.preferences?.timezone || DEFAULT_TIMEZONE;
+    const analytics = await getTripAnalytics(req.user.id, { start, end, timeZone });
 
     res.json({
-      period,
-      stats: {
-        totalTrips,
-        totalDistanceKm: Math.round(totalDistance / 1000),
-        totalDurationMinutes: Math.round(totalDuration / 60),
-        totalDelayMinutes: Math.round(totalDelay / 60),
-        totalTimeSavedMinutes: Math.round(totalTimeSaved / 60),
-        averageTripScore: Math.round(avgTripScore),
-        averageTripDistanceKm: totalTrips > 0 ? Math.round(totalDistance / totalTrips / 1000) : 0,
-        averageTripDurationMinutes: totalTrips > 0 ? Math.round(totalDuration / totalTrips / 60) : 0,
-      },
+      period: startDate || endDate ? 'custom' : period,
+      startDate: start,
+      endDate: end,
+      timeZone,
+      ...analytics,
     });
   } catch (error) {
     logger.error('Get stats error:', error.message);
@@ -208,6 +409,35 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/trips/digest
+ * Get the weekly digest report (same data as the weekly push summary)
+ * Query params:
+ *   - weekStart: Any local date in the week, YYYY-MM-DD (default: last completed week)
+ */
+router.get('/digest', async (req, res) => {
+  try {
+    const { weekStart } = req.query;
+    const timeZone = req.user.preferences?.timezone || DEFAULT_TIMEZONE;
+
+    let week = getLastCompletedWeekStart(timeZone);
+    if (weekStart) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(weekStart) || isNaN(new Date(weekStart).getTime())) {
+        return res.status(400).json({ error: 'weekStart must be in YYYY-MM-DD format' });
+      }
+      // Normalise to the Monday of that week
+      week = getWeekStart(localToUtc(weekStart, '12:00', timeZone), timeZone);
+    }
+
+    const digest = await buildWeeklyDigest(req.user.id, { weekStart: week, timeZone });
+
+    res.json({ digest });
+  } catch (error) {
+    logger.error('Get digest error:', error.message);
+    res.status(500).json({ error: 'Failed to get weekly digest' });
+  }
+});
+
 /**
  * GET /api/trips/:id
  * Get a specific trip
@@ -229,6 +459,35 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/trips/:id/export
+ * Export one trip as a file
+ * Query params:
+ *   - format: gpx, geojson or kml (default gpx)
+ */
+router.get('/:id/export', async (req, res) => {
+  try {
+    const { format = 'gpx' } = req.query;
+
+    if (!isExportFormat(format)) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+
+    const trip = await prisma.trip.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    sendTripFile(res, [trip], format, `yalla-trip-${trip.id}`);
+  } catch (error) {
+    logger.error('Export trip error:', error.message);
+    res.status(500).json({ error: 'Failed to export trip' });
+  }
+});
+
 /**
  * DELETE /api/trips/:id
  * Delete a trip
@@ -1,6 +1,9 @@
 const express = require('express');
 const prisma = require('../utils/prisma');
 const { requireAuth } = require('../middleware/auth');
+const { isValidTimeZone } = require('../utils/time');
+const { getUnreadCount } = require('../services/notifications');
+const { getCategories } = require('../services/notificationTemplates');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -88,6 +91,7 @@ router.get('/me/preferences', async (req, res) => {
 router.patch('/me/preferences', async (req, res) => {
   try {
     const allowedFields = [
+      'notificationsEnabled',
       'avoidTolls',
       'avoidHighways',
       'preferredRouteType',
@@ -95,12 +99,35 @@ router.patch('/me/preferences', async (req, res) => {
       'trafficAlerts',
       'incidentAlerts',
       'weeklyDigest',
-      'alertMinutesBefore',
+      'commuteReminderMinutes',
+      'quietHoursEnabled',
+      'quietHoursStart',
+      'quietHoursEnd',
+      'departureAlertsDailyCap',
+      'incidentAlertsDailyCap',
       'distanceUnit',
       'timeFormat',
       'language',
+      'timezone',
     ];
 
+    if (req.body.timezone !== undefined && !isValidTimeZone(req.body.timezone)) {
+      return res.status(400).json({ error: 'timezone must be a valid IANA timezone name' });
+    }
+
+    for (const field of ['quietHoursStart', 'quietHoursEnd']) {
+      if (req.body[field] !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(req.body[field])) {
+        return res.status(400).json({ error: `${field} must be a time in HH:mm format` });
+      }
+    }
+
+    for (const field of ['departureAlertsDailyCap', 'incidentAlertsDailyCap']) {
+      const value = req.body[field];
+      if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > 50)) {
+        return res.status(400).json({ error: `${field} must be an integer between 0 and 50` });
+      }
+    }
+
     // Filter to only allowed fields
     const data = {};
     for (const field of allowedFields) {
@@ -209,7 +236,7 @@ router.delete('/me/places/:id', async (req, res) => {
  */
 router.post('/me/push-token', async (req, res) => {
   try {
-    const { token, platform, deviceId } = req.body;
+    const { token, platform, deviceId, bundleId } = req.body;
 
     if (!token || !platform) {
       return res.status(400).json({ error: 'token and platform are required' });
@@ -227,6 +254,7 @@ router.post('/me/push-token', async (req, res) => {
       update: {
         platform,
         deviceId,
+        bundleId,
         isActive: true,
         updatedAt: new Date(),
       },
@@ -235,6 +263,7 @@ router.post('/me/push-token', async (req, res) => {
         token,
         platform,
         deviceId,
+        bundleId,
       },
     });
 
@@ -269,4 +298,151 @@ router.delete('/me/push-token', async (req, res) => {
   }
 });
 
+/**
+ * Format a stored notification for the inbox
+ */
+function formatNotification(notification) {
+  return {
+    id: notification.id,
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    data: notification.payload ? JSON.parse(notification.payload) : {},
+    deliveryStatus: notification.deliveryStatus,
+    isRead: notification.readAt !== null,
+    readAt: notification.readAt,
+    createdAt: notification.createdAt,
+  };
+}
+
+/**
+ * GET /api/users/me/notifications
+ * Get notification history (in-app inbox) with pagination
+ * Query params:
+ *   - page, limit: Pagination (default 1, 20)
+ *   - unreadOnly: Only unread notifications (default false)
+ */
+router.get('/me/notifications', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unreadOnly } = req.query;
+    const take = Math.min(parseInt(limit), 100);
+    const skip = (parseInt(page) - 1) * take;
+
+    const where = { userId: req.user.id };
+    if (unreadOnly === 'true') {
+      where.readAt = null;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take,
+      }),
+      prisma.notification.count({ where }),
+      getUnreadCount(req.user.id),
+    ]);
+
+    res.json({
+      notifications: notifications.map(formatNotification),
+      unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take),
+      },
+    });
+  } catch (error) {
+    logger.error('Get notifications error:', error.message);
+    res.status(500).json({ error: 'Failed to get notifications' });
+  }
+});
+
+/**
+ * GET /api/users/me/notifications/badge
+ * Get the unread notification count
+ */
+router.get('/me/notifications/badge', async (req, res) => {
+  try {
+    const unreadCount = await getUnreadCount(req.user.id);
+    res.json({ unreadCount });
+  } catch (error) {
+    logger.error('Get badge error:', error.message);
+    res.status(500).json({ error: 'Failed to get badge count' });
+  }
+});
+
+/**
+ * GET /api/users/me/notifications/categories
+ * Notification categories and action titles (Reroute, Snooze) for the app to register
+ * Uses the user's language unless ?language=en|ar is given
+ */
+router.get('/me/notifications/categories', async (req, res) => {
+  try {
+    let { language } = req.query;
+
+    if (!language) {
+      const preferences = await prisma.userPreferences.findUnique({
+        where: { userId: req.user.id },
+        select: { language: true },
+      });
+      language = preferences?.language;
+    }
+
+    res.json({ categories: getCategories(language) });
+  } catch (error) {
+    logger.error('Get notification categories error:', error.message);
+    res.status(500).json({ error: 'Failed to get notification categories' });
+  }
+});
+
+/**
+ * POST /api/users/me/notifications/read-all
+ * Mark all notifications as read
+ */
+router.post('/me/notifications/read-all', async (req, res) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.user.id, readAt: null },
+      data: { readAt: new Date() },
+    });
+
+    res.json({ success: true, updated: count, unreadCount: 0 });
+  } catch (error) {
+    logger.error('Mark all read error:', error.message);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+/**
+ * POST /api/users/me/notifications/:id/read
+ * Mark a notification as read
+ */
+router.post('/me/notifications/:id/read', async (req, res) => {
+  try {
+    const notification = await prisma.notification.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      await prisma.notification.update({
+        where: { id: notification.id },
+        data: { readAt: new Date() },
+      });
+    }
+
+    const unreadCount = await getUnreadCount(req.user.id);
+    res.json({ success: true, unreadCount });
+  } catch (error) {
+    logger.error('Mark read error:', error.message);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
 module.exports = router;
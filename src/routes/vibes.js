@@ -1,5 +1,19 @@
 const express = require('express');
+const { Prisma } = require('@prisma/client');
 const prisma = require('../utils/prisma');
+const { STORED_PRECISION, encode: encodeGeohash, getCoveringPrefixes, getPrefixRange } = require('../utils/geohash');
+const { EARTH_RADIUS_KM } = require('../utils/geo');
+const { resolveSegment } = require('../services/roadSegments');
+const { VIBE_TYPES, recomputeCluster } = require('../services/vibeClusters');
+const { assessVibe } = require('../services/vibeTrust');
+const {
+  isDeviceCheckConfigured,
+  validateDeviceCheckToken,
+  countRecentDevices,
+  issueDeviceToken,
+} = require('../services/deviceTokens');
+const { hashIp } = require('../utils/ip');
+const { optionalAuth, requireDeviceToken } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -10,36 +24,63 @@ const VIBE_TTL_MINUTES = 7;
 const COOLDOWN_SECONDS = 30;
 // Max vibes per 24 hours
 const MAX_VIBES_PER_DAY = 20;
+// Nearby search limits
+const MAX_RADIUS_KM = 20;
+const MAX_PAGE_SIZE = 100;
+// Device tokens issued per network per 24 hours, by whether Apple vouched for the device.
+// Mobile carriers put many users behind one IP, so these stay well above a household's worth.
+const MAX_UNATTESTED_DEVICES_PER_DAY = parseInt(process.env.VIBE_UNATTESTED_DEVICES_PER_DAY ?? '200', 10);
+const MAX_ATTESTED_DEVICES_PER_DAY = parseInt(process.env.VIBE_ATTESTED_DEVICES_PER_DAY ?? '2000', 10);
 
 /**
- * Calculate geohash for a location (simplified version)
- * In production, use a proper geohash library
+ * POST /api/vibes/device-token
+ * Register this device for vibes and get its token (send it as X-Device-Token)
+ * Body: deviceCheckToken (optional) - Apple DeviceCheck token, which raises the per-network limit
+ * Set REQUIRE_DEVICE_ATTESTATION=true to only register attested devices
  */
-function calculateGeohash(lat, lng, precision = 6) {
-  // Simple grid-based approach for demo
-  // In production, use ngeohash package
-  const latGrid = Math.floor(lat * Math.pow(10, precision - 3));
-  const lngGrid = Math.floor(lng * Math.pow(10, precision - 3));
-  return `${latGrid}_${lngGrid}`;
-}
+router.post('/device-token', async (req, res) => {
+  try {
+    const { deviceCheckToken } = req.body;
 
-/**
- * Calculate road segment ID from coordinates
- */
-function calculateSegmentId(lat, lng) {
-  // Round to ~100m precision for segment grouping
-  const latRound = Math.round(lat * 1000) / 1000;
-  const lngRound = Math.round(lng * 1000) / 1000;
-  return `seg_${latRound}_${lngRound}`;
-}
+    let attestation = null;
+    if (deviceCheckToken && isDeviceCheckConfigured()) {
+      if (!(await validateDeviceCheckToken(deviceCheckToken))) {
+        return res.status(401).json({ error: 'Device verification failed' });
+      }
+      attestation = 'devicecheck';
+    }
+
+    if (!attestation && process.env.REQUIRE_DEVICE_ATTESTATION === 'true') {
+      return res.status(401).json({ error: 'Device verification required' });
+    }
+
+    // Limit how many identities one network can mint, so rotating devices can't dodge rate limits
+    const ipHash = hashIp(req.ip || 'unknown');
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const limit = attestation ? MAX_ATTESTED_DEVICES_PER_DAY : MAX_UNATTESTED_DEVICES_PER_DAY;
+    if ((await countRecentDevices(ipHash, Boolean(attestation), since)) >= limit) {
+      return res.status(429).json({ error: 'Too many devices registered from this network. Try again tomorrow.' });
+    }
+
+    const result = await issueDeviceToken({ ipHash, attestation });
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Issue device token error:', error.message);
+    res.status(500).json({ error: 'Failed to issue device token' });
+  }
+});
 
 /**
  * GET /api/vibes/nearby
- * Get nearby vibe clusters
+ * Get vibe clusters within a radius, nearest first
+ * Query params:
+ *   - lat, lng: Center
+ *   - radius: Radius in km (default 5, max 20)
+ *   - page, limit: Pagination (default page 1, 50 per page, max 100)
  */
 router.get('/nearby', async (req, res) => {
   try {
-    const { lat, lng, radius = 5 } = req.query;
+    const { lat, lng, radius = 5, page = 1, limit = 50 } = req.query;
 
     if (!lat || !lng) {
       return res.status(400).json({ error: 'lat and lng are required' });
@@ -48,29 +89,54 @@ router.get('/nearby', async (req, res) => {
     const latitude = parseFloat(lat);
     const longitude = parseFloat(lng);
     const radiusKm = parseFloat(radius);
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
 
-    // Calculate geohash prefix for query
-    const geohash = calculateGeohash(latitude, longitude, 4);
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return res.status(400).json({ error: 'lat and lng must be valid coordinates' });
+    }
+    if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return res.status(400).json({ error: `radius must be between 0 and ${MAX_RADIUS_KM} km` });
+    }
+    if (isNaN(pageNumber) || pageNumber < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `page must be at least 1 and limit between 1 and ${MAX_PAGE_SIZE}` });
+    }
 
-    // Get non-expired clusters
-    const now = new Date();
-    const clusters = await prisma.vibeCluster.findMany({
-      where: {
-        expiresAt: { gt: now },
-        totalCount: { gt: 0 },
-      },
-      orderBy: { totalCount: 'desc' },
-      take: 50,
+    // Geohash cells covering the circle, matched as index ranges on the geohash column
+    // (stored hashes are STORED_PRECISION long, queries use shorter prefixes of them)
+    const cells = getCoveringPrefixes(latitude, longitude, radiusKm, STORED_PRECISION).map((prefix) => {
+      const { from, to } = getPrefixRange(prefix);
+      return to
+        ? Prisma.sql`("geohash" >= ${from} AND "geohash" < ${to})`
+        : Prisma.sql`"geohash" >= ${from}`;
     });
 
-    // Filter by distance and format response
+    // Non-expired clusters in those cells with their haversine distance. The cells
+    // are larger than the circle, so the database keeps the ones inside it and
+    // pages through them nearest first.
+    const now = new Date();
+    const inRadius = Prisma.sql`
+      FROM (
+        SELECT *, ${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+          POWER(SIN(RADIANS("latitude" - ${latitude}) / 2), 2) +
+          COS(RADIANS(${latitude})) * COS(RADIANS("latitude")) * POWER(SIN(RADIANS("longitude" - ${longitude}) / 2), 2)
+        )) AS "distanceKm"
+        FROM "VibeCluster"
+        WHERE (${Prisma.join(cells, ' OR ')})
+          AND "expiresAt" > ${now} AND "totalCount" > 0
+      ) c
+      WHERE c."distanceKm" <= ${radiusKm}`;
+
+    const [clusters, [{ total }]] = await Promise.all([
+      prisma.$queryRaw`SELECT * ${inRadius} ORDER BY c."distanceKm" LIMIT ${pageSize} OFFSET ${(pageNumber - 1) * pageSize}`,
+      prisma.$queryRaw`SELECT COUNT(*)::int AS "total" ${inRadius}`,
+    ]);
+
     const nearbyClusters = clusters
-      .filter(cluster => {
-        const distance = getDistanceKm(latitude, longitude, cluster.latitude, cluster.longitude);
-        return distance <= radiusKm;
-      })
-      .map(cluster => ({
+      .map(({ distanceKm, ...cluster }) => ({
         segmentId: cluster.segmentId,
+        roadName: cluster.roadName,
+        direction: cluster.direction,
         lat: cluster.latitude,
         lng: cluster.longitude,
         geohash: cluster.geohash,
@@ -85,11 +151,21 @@ router.get('/nearby', async (req, res) => {
         },
         totalCount: cluster.totalCount,
         dominantVibe: cluster.dominantVibe,
+        confidence: cluster.confidence,
         lastUpdated: cluster.lastUpdated.toISOString(),
         expiresAt: cluster.expiresAt.toISOString(),
+        distanceKm: Math.round(distanceKm * 100) / 100,
       }));
 
-    res.json({ clusters: nearbyClusters });
+    res.json({
+      clusters: nearbyClusters,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
   } catch (error) {
     logger.error('Get nearby vibes error:', error);
     res.status(500).json({ error: 'Failed to get nearby vibes' });
@@ -98,26 +174,37 @@ router.get('/nearby', async (req, res) => {
 
 /**
  * POST /api/vibes
- * Submit a new vibe
+ * Submit a new vibe (requires X-Device-Token; a signed-in user's vibe is also linked to their account)
+ * Body: type, lat, lng, and optionally heading (degrees from north) and speed (m/s)
+ * from the device, so the vibe is grouped with traffic going the same way on the same road
  */
-router.post('/', async (req, res) => {
+router.post('/', requireDeviceToken, optionalAuth, async (req, res) => {
   try {
-    const { type, lat, lng, userId } = req.body;
+    const { type, lat, lng, heading, speed } = req.body;
+    const anonymousId = req.anonymousId;
 
-    if (!type || !lat || !lng || !userId) {
-      return res.status(400).json({ error: 'type, lat, lng, and userId are required' });
+    if (!type || !lat || !lng) {
+      return res.status(400).json({ error: 'type, lat, and lng are required' });
     }
 
-    const validTypes = ['smooth', 'slowdown', 'heavy', 'deadlock', 'accident', 'police', 'hazard'];
-    if (!validTypes.includes(type)) {
-      return res.status(400).json({ error: `Invalid vibe type. Must be one of: ${validTypes.join(', ')}` });
+    if (!VIBE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Invalid vibe type. Must be one of: ${VIBE_TYPES.join(', ')}` });
     }
 
     const latitude = parseFloat(lat);
     const longitude = parseFloat(lng);
+    const headingDegrees = heading === undefined || heading === null ? null : parseFloat(heading);
+    const speedMps = speed === undefined || speed === null ? null : parseFloat(speed);
+
+    // Devices report -1 when heading or speed is unknown, so only reject non-numbers
+    if (Number.isNaN(headingDegrees) || Number.isNaN(speedMps)) {
+      return res.status(400).json({ error: 'heading and speed must be numbers' });
+    }
+    const validHeading = headingDegrees !== null && headingDegrees >= 0 && headingDegrees <= 360 ? headingDegrees : null;
+    const validSpeed = speedMps !== null && speedMps >= 0 ? speedMps : null;
 
     // Check rate limit
-    const rateLimit = await checkRateLimit(userId);
+    const rateLimit = await checkRateLimit(anonymousId);
     if (!rateLimit.canSubmit) {
       return res.status(429).json({
         error: rateLimit.reason,
@@ -127,29 +214,55 @@ router.post('/', async (req, res) => {
 
     const now = new Date();
     const expiresAt = new Date(now.getTime() + VIBE_TTL_MINUTES * 60 * 1000);
-    const geohash = calculateGeohash(latitude, longitude);
-    const segmentId = calculateSegmentId(latitude, longitude);
+    const geohash = encodeGeohash(latitude, longitude, STORED_PRECISION);
+    const segment = await resolveSegment(latitude, longitude, validHeading);
+    const segmentId = await findClusterSegmentId(segment);
+
+    // Plausibility checks and device reputation decide how much the vibe counts
+    const assessment = await assessVibe(req.device, { type, lat: latitude, lng: longitude }, segment, segmentId, now);
 
     // Create the vibe
     await prisma.vibe.create({
       data: {
-        anonymousId: userId,
+        anonymousId,
+        userId: req.user?.id || null,
         latitude,
         longitude,
         geohash,
         segmentId,
+        roadName: segment.roadName,
+        heading: validHeading,
+        speed: validSpeed,
+        weight: assessment.weight,
+        flags: assessment.flags.length > 0 ? JSON.stringify(assessment.flags) : null,
         type,
         expiresAt,
       },
     });
 
-    // Update the cluster aggregate
-    await updateVibeCluster(segmentId, latitude, longitude, geohash, type, expiresAt);
+    await prisma.vibeDevice.update({
+      where: { id: anonymousId },
+      data: assessment.device,
+    });
+
+    // Rebuild the cluster aggregate from its live vibes (shadow-discarded vibes don't change it)
+    if (assessment.weight > 0) {
+      await recomputeCluster(segmentId, segment, now);
+    }
 
     // Update rate limit
-    await updateRateLimit(userId);
+    await updateRateLimit(anonymousId);
 
-    logger.info(`Vibe submitted: ${type} at ${segmentId}`);
+    if (assessment.flags.length > 0) {
+      logger.warn(`Suspicious vibe: ${type} at ${segmentId}`, {
+        anonymousId,
+        flags: assessment.flags,
+        weight: assessment.weight,
+      });
+    } else {
+      logger.info(`Vibe submitted: ${type} at ${segmentId}`);
+    }
+    // Same response either way, so shadow-discarded submitters can't tell
     res.json({ success: true });
   } catch (error) {
     logger.error('Submit vibe error:', error);
@@ -159,17 +272,11 @@ router.post('/', async (req, res) => {
 
 /**
  * GET /api/vibes/rate-limit
- * Check rate limit for a user
+ * Check rate limit for this device (requires X-Device-Token)
  */
-router.get('/rate-limit', async (req, res) => {
+router.get('/rate-limit', requireDeviceToken, async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
-
-    const result = await checkRateLimit(userId);
+    const result = await checkRateLimit(req.anonymousId);
     res.json(result);
   } catch (error) {
     logger.error('Check rate limit error:', error);
@@ -179,20 +286,14 @@ router.get('/rate-limit', async (req, res) => {
 
 /**
  * GET /api/vibes/mine
- * Get user's recent vibes
+ * Get this device's recent vibes (requires X-Device-Token)
  */
-router.get('/mine', async (req, res) => {
+router.get('/mine', requireDeviceToken, async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
-
     const now = new Date();
     const vibes = await prisma.vibe.findMany({
       where: {
-        anonymousId: userId,
+        anonymousId: req.anonymousId,
         expiresAt: { gt: now },
       },
       orderBy: { createdAt: 'desc' },
@@ -213,11 +314,11 @@ router.get('/mine', async (req, res) => {
 });
 
 /**
- * Check rate limit for a user
+ * Check rate limit for a device
  */
-async function checkRateLimit(userId) {
+async function checkRateLimit(anonymousId) {
   const rateLimit = await prisma.vibeRateLimit.findUnique({
-    where: { anonymousId: userId },
+    where: { anonymousId },
   });
 
   if (!rateLimit) {
@@ -255,20 +356,31 @@ async function checkRateLimit(userId) {
 
 /**
  * Update rate limit after vibe submission
+ * A window that has run out starts over with this vibe
  */
-async function updateRateLimit(userId) {
+async function updateRateLimit(anonymousId) {
   const now = new Date();
   const resetAt = new Date(now);
   resetAt.setHours(resetAt.getHours() + 24);
 
+  const { count } = await prisma.vibeRateLimit.updateMany({
+    where: { anonymousId, resetAt: { lt: now } },
+    data: {
+      lastVibeAt: now,
+      vibeCount24h: 1,
+      resetAt,
+    },
+  });
+  if (count > 0) return;
+
   await prisma.vibeRateLimit.upsert({
-    where: { anonymousId: userId },
+    where: { anonymousId },
     update: {
       lastVibeAt: now,
       vibeCount24h: { increment: 1 },
     },
     create: {
-      anonymousId: userId,
+      anonymousId,
       lastVibeAt: now,
       vibeCount24h: 1,
       resetAt,
@@ -277,82 +389,20 @@ async function updateRateLimit(userId) {
 }
 
 /**
- * Update vibe cluster aggregate
+ * Segment ID of the cluster a vibe joins: a live cluster for the segment
+ * or its neighbouring direction, else the segment's own ID
  */
-async function updateVibeCluster(segmentId, lat, lng, geohash, type, expiresAt) {
-  const countField = `${type}Count`;
-
-  // Try to update existing cluster
-  const existing = await prisma.vibeCluster.findUnique({
-    where: { segmentId },
+async function findClusterSegmentId(segment) {
+  const live = await prisma.vibeCluster.findMany({
+    where: {
+      segmentId: { in: segment.candidateSegmentIds },
+      expiresAt: { gt: new Date() },
+    },
+    select: { segmentId: true },
   });
 
-  if (existing) {
-    // Get current counts
-    const counts = {
-      smooth: existing.smoothCount,
-      slowdown: existing.slowdownCount,
-      heavy: existing.heavyCount,
-      deadlock: existing.deadlockCount,
-      accident: existing.accidentCount,
-      police: existing.policeCount,
-      hazard: existing.hazardCount,
-    };
-    counts[type]++;
-
-    // Find dominant vibe
-    let dominant = 'smooth';
-    let maxCount = 0;
-    for (const [vibeType, count] of Object.entries(counts)) {
-      if (count > maxCount) {
-        maxCount = count;
-        dominant = vibeType;
-      }
-    }
-
-    await prisma.vibeCluster.update({
-      where: { segmentId },
-      data: {
-        [countField]: { increment: 1 },
-        totalCount: { increment: 1 },
-        dominantVibe: dominant,
-        lastUpdated: new Date(),
-        expiresAt: expiresAt > existing.expiresAt ? expiresAt : existing.expiresAt,
-      },
-    });
-  } else {
-    // Create new cluster
-    const data = {
-      segmentId,
-      latitude: lat,
-      longitude: lng,
-      geohash,
-      totalCount: 1,
-      dominantVibe: type,
-      expiresAt,
-    };
-    data[countField] = 1;
-
-    await prisma.vibeCluster.create({ data });
-  }
-}
-
-/**
- * Calculate distance between two points in km (Haversine formula)
- */
-function getDistanceKm(lat1, lng1, lat2, lng2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = toRad(lat2 - lat1);
-  const dLng = toRad(lng2 - lng1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
-
-function toRad(deg) {
-  return deg * (Math.PI / 180);
+  const liveIds = new Set(live.map((cluster) => cluster.segmentId));
+  return segment.candidateSegmentIds.find((id) => liveIds.has(id)) || segment.segmentId;
 }
 
 module.exports = router;
@@ -0,0 +1,188 @@
+/**
+ * Community Risk
+ *
+ * Attaches our own community data to routes: active incident reports and
+ * vibe clusters within a corridor of each polyline, plus a risk summary per
+ * alternative ("2 police reports and a deadlock vibe").
+ */
+
+const prisma = require('../utils/prisma');
+const { distanceToPolylineMeters, getBounds } = require('../utils/geo');
+
+// Reports this close to a route are on it
+const CORRIDOR_METERS = 200;
+
+// Weight of an incident report by severity (verified reports count 1.5x)
+const SEVERITY_WEIGHTS = { minor: 1, moderate: 2, major: 4 };
+const VERIFIED_MULTIPLIER = 1.5;
+
+// Weight of a vibe cluster by its dominant vibe
+const VIBE_WEIGHTS = {
+  smooth: 0,
+  slowdown: 1,
+  police: 1,
+  heavy: 2,
+  hazard: 2,
+  deadlock: 3,
+  accident: 3,
+};
+
+// Score thresholds for the risk levels (score below the value)
+const RISK_LEVELS = [
+  { level: 'low', below: 3 },
+  { level: 'medium', below: 7 },
+];
+
+const INCIDENT_NOUNS = {
+  accident: ['accident report', 'accident reports'],
+  hazard: ['hazard report', 'hazard reports'],
+  police: ['police report', 'police reports'],
+  roadwork: ['roadwork report', 'roadwork reports'],
+  congestion: ['congestion report', 'congestion reports'],
+  other: ['incident report', 'incident reports'],
+};
+
+/**
+ * "a police report", "2 police reports"
+ */
+function countPhrase(count, [singular, plural]) {
+  if (count === 1) {
+    return `${/^[aeiou]/.test(singular) ? 'an' : 'a'} ${singular}`;
+  }
+  return `${count} ${plural}`;
+}
+
+/**
+ * Join phrases as "a, b and c"
+ */
+function joinPhrases(phrases) {
+  if (phrases.length <= 1) return phrases.join('');
+  return `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}`;
+}
+
+function formatIncident(incident, distanceMeters) {
+  return {
+    id: incident.id,
+    type: incident.type,
+    severity: incident.severity,
+    lat: incident.latitude,
+    lng: incident.longitude,
+    roadName: incident.roadName,
+    isVerified: incident.isVerified,
+    confirmations: incident.confirmations,
+    reportedAt: incident.reportedAt.toISOString(),
+    distanceFromRouteMeters: Math.round(distanceMeters),
+  };
+}
+
+function formatVibeCluster(cluster, distanceMeters) {
+  return {
+    segmentId: cluster.segmentId,
+    roadName: cluster.roadName,
+    direction: cluster.direction,
+    lat: cluster.latitude,
+    lng: cluster.longitude,
+    dominantVibe: cluster.dominantVibe,
+    totalCount: cluster.totalCount,
+    lastUpdated: cluster.lastUpdated.toISOString(),
+    distanceFromRouteMeters: Math.round(distanceMeters),
+  };
+}
+
+/**
+ * Risk summary for the incidents and vibes on one route
+ * @returns {object} { level, score, counts: { incidents, vibes }, summary }
+ */
+function summarizeRisk(incidents, vibes) {
+  const incidentCounts = {};
+  let score = 0;
+  for (const incident of incidents) {
+    incidentCounts[incident.type] = (incidentCounts[incident.type] || 0) + 1;
+    const weight = SEVERITY_WEIGHTS[incident.severity] || SEVERITY_WEIGHTS.moderate;
+    score += incident.isVerified ? weight * VERIFIED_MULTIPLIER : weight;
+  }
+
+  const vibeCounts = {};
+  for (const vibe of vibes) {
+    vibeCounts[vibe.dominantVibe] = (vibeCounts[vibe.dominantVibe] || 0) + 1;
+    score += VIBE_WEIGHTS[vibe.dominantVibe] || 0;
+  }
+
+  const phrases = [
+    ...Object.entries(incidentCounts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, count]) => countPhrase(count, INCIDENT_NOUNS[type] || INCIDENT_NOUNS.other)),
+    // Smooth vibes are good news, not risk
+    ...Object.entries(vibeCounts)
+      .filter(([vibe]) => VIBE_WEIGHTS[vibe] > 0)
+      .sort((a, b) => b[1] - a[1])
+      .map(([vibe, count]) => countPhrase(count, [`${vibe} vibe`, `${vibe} vibes`])),
+  ];
+
+  let level = 'none';
+  if (score > 0) {
+    level = RISK_LEVELS.find((entry) => score < entry.below)?.level || 'high';
+  }
+
+  return {
+    level,
+    score: Math.round(score * 10) / 10,
+    counts: { incidents: incidentCounts, vibes: vibeCounts },
+    summary: phrases.length > 0 ? `${joinPhrases(phrases)} on this route` : 'No community reports on this route',
+  };
+}
+
+/**
+ * Community incidents, vibe clusters and risk for each route
+ * One query per data type covers all routes, so alternatives cost nothing extra
+ * @param {Array<Array<object>>} routes - Polyline of each route [[{ lat, lng }]]
+ * @param {object} options - { now }
+ * @returns {Promise<Array<object>>} Per route: { incidents, vibes, risk }
+ */
+async function getCommunityContext(routes, { now = new Date() } = {}) {
+  const allPoints = routes.flat();
+  if (allPoints.length === 0) {
+    return routes.map(() => ({ incidents: [], vibes: [], risk: summarizeRisk([], []) }));
+  }
+
+  const bounds = getBounds(allPoints, CORRIDOR_METERS / 1000);
+  const inBounds = {
+    latitude: { gte: bounds.minLat, lte: bounds.maxLat },
+    longitude: { gte: bounds.minLng, lte: bounds.maxLng },
+  };
+
+  const [incidents, clusters] = await Promise.all([
+    prisma.incident.findMany({
+      where: { ...inBounds, isActive: true, expiresAt: { gt: now } },
+    }),
+    prisma.vibeCluster.findMany({
+      where: { ...inBounds, expiresAt: { gt: now }, totalCount: { gt: 0 } },
+    }),
+  ]);
+
+  return routes.map((points) => {
+    const nearby = (items) => items
+      .map((item) => ({
+        item,
+        distance: distanceToPolylineMeters({ lat: item.latitude, lng: item.longitude }, points),
+      }))
+      .filter(({ distance }) => distance <= CORRIDOR_METERS);
+
+    const routeIncidents = nearby(incidents);
+    const routeVibes = nearby(clusters);
+
+    return {
+      incidents: routeIncidents.map(({ item, distance }) => formatIncident(item, distance)),
+      vibes: routeVibes.map(({ item, distance }) => formatVibeCluster(item, distance)),
+      risk: summarizeRisk(
+        routeIncidents.map(({ item }) => item),
+        routeVibes.map(({ item }) => item)
+      ),
+    };
+  });
+}
+
+module.exports = {
+  getCommunityContext,
+  summarizeRisk,
+};
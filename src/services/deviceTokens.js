@@ -0,0 +1,169 @@
+/**
+ * Anonymous Device Tokens
+ *
+ * Vibes are anonymous, but each submission is tied to a device the server
+ * registered (a VibeDevice row) through a signed token, so rate limits and
+ * "my vibes" can't be sidestepped by making up IDs. Devices can optionally
+ * prove they are a genuine install of the app with an Apple DeviceCheck token.
+ *
+ * Env:
+ *   DEVICECHECK_KEY_ID, DEVICECHECK_TEAM_ID - From the Apple developer account
+ *   DEVICECHECK_KEY or DEVICECHECK_KEY_PATH - .p8 signing key contents or file path
+ *   DEVICECHECK_ENV - production or development (defaults to production when NODE_ENV is)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const prisma = require('../utils/prisma');
+
+// Same secret as account tokens; the audience keeps the two from being swapped
+// (account auth rejects tokens with this audience, see middleware/auth.js)
+const JWT_SECRET = process.env.JWT_SECRET || 'yalla-jwt-secret-change-in-production';
+const TOKEN_AUDIENCE = 'vibe-device';
+const TOKEN_EXPIRES_IN = '180d';
+
+const DEVICECHECK_HOSTS = {
+  production: 'https://api.devicecheck.apple.com',
+  development: 'https://api.development.devicecheck.apple.com',
+};
+const DEVICECHECK_TIMEOUT_MS = 10000;
+
+let deviceCheckKey = null;
+
+function isDeviceCheckConfigured() {
+  return Boolean(
+    process.env.DEVICECHECK_KEY_ID &&
+    process.env.DEVICECHECK_TEAM_ID &&
+    (process.env.DEVICECHECK_KEY || process.env.DEVICECHECK_KEY_PATH)
+  );
+}
+
+function getDeviceCheckKey() {
+  if (!deviceCheckKey) {
+    if (process.env.DEVICECHECK_KEY) {
+      // Allow the key to be pasted into a single-line env var
+      deviceCheckKey = process.env.DEVICECHECK_KEY.replace(/\\n/g, '\n');
+    } else if (process.env.DEVICECHECK_KEY_PATH) {
+      deviceCheckKey = fs.readFileSync(process.env.DEVICECHECK_KEY_PATH, 'utf8');
+    }
+  }
+  return deviceCheckKey;
+}
+
+function getDeviceCheckHost() {
+  const env = process.env.DEVICECHECK_ENV || (process.env.NODE_ENV === 'production' ? 'production' : 'development');
+  return DEVICECHECK_HOSTS[env] || DEVICECHECK_HOSTS.development;
+}
+
+/**
+ * Ask Apple whether a DeviceCheck token came from a genuine device running the app
+ * @param {string} deviceCheckToken - Base64 token from DCDevice.generateToken
+ * @returns {Promise<boolean>} false when Apple rejects the token
+ */
+async function validateDeviceCheckToken(deviceCheckToken) {
+  const authToken = jwt.sign({}, getDeviceCheckKey(), {
+    algorithm: 'ES256',
+    issuer: process.env.DEVICECHECK_TEAM_ID,
+    header: { alg: 'ES256', kid: process.env.DEVICECHECK_KEY_ID },
+  });
+
+  try {
+    await axios.post(
+      `${getDeviceCheckHost()}/v1/validate_device_token`,
+      {
+        device_token: deviceCheckToken,
+        transaction_id: crypto.randomUUID(),
+        timestamp: Date.now(),
+      },
+      {
+        headers: { Authorization: `Bearer ${authToken}` },
+        timeout: DEVICECHECK_TIMEOUT_MS,
+      }
+    );
+    return true;
+  } catch (error) {
+    // 400 is an invalid or malformed device token; anything else is Apple or us failing
+    if (error.response?.status === 400) return false;
+    throw error;
+  }
+}
+
+/**
+ * Devices registered from a network since a given time
+ * @param {string} ipHash
+ * @param {boolean} attested - Count attested or unattested devices
+ * @param {Date} since
+ * @returns {Promise<number>}
+ */
+async function countRecentDevices(ipHash, attested, since) {
+  return prisma.vibeDevice.count({
+    where: {
+      ipHash,
+      attestedAt: attested ? { not: null } : null,
+      createdAt: { gte: since },
+    },
+  });
+}
+
+/**
+ * Register a device and sign its token
+ * @param {object} options
+ * @param {string} options.ipHash
+ * @param {string|null} options.attestation - How the device was attested (devicecheck), if at all
+ * @returns {Promise<object>} { token, anonymousId, attested, expiresAt }
+ */
+async function issueDeviceToken({ ipHash, attestation = null }) {
+  const device = await prisma.vibeDevice.create({
+    data: {
+      ipHash,
+      attestation,
+      attestedAt: attestation ? new Date() : null,
+    },
+  });
+
+  const token = jwt.sign({ anonymousId: device.id }, JWT_SECRET, {
+    audience: TOKEN_AUDIENCE,
+    expiresIn: TOKEN_EXPIRES_IN,
+  });
+
+  return {
+    token,
+    anonymousId: device.id,
+    attested: Boolean(attestation),
+    expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * Verify a device token and load its device
+ * @param {string} token
+ * @returns {Promise<object|null>} VibeDevice row, or null when the token is invalid, expired or revoked
+ */
+async function verifyDeviceToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET, { audience: TOKEN_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+
+  const device = await prisma.vibeDevice.findUnique({
+    where: { id: decoded.anonymousId },
+  });
+
+  if (!device || device.revokedAt) {
+    return null;
+  }
+  return device;
+}
+
+module.exports = {
+  TOKEN_AUDIENCE,
+  isDeviceCheckConfigured,
+  validateDeviceCheckToken,
+  countRecentDevices,
+  issueDeviceToken,
+  verifyDeviceToken,
+};
@@ -0,0 +1,298 @@
+/**
+ * Incident Alerts
+ *
+ * Finds users whose commute or upcoming departure alert route passes near an
+ * incident and pushes them an incident alert. Pushes are throttled per user
+ * and logged in IncidentAlertLog, so one jam doesn't turn into a stream of
+ * notifications.
+ */
+
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { getRouteGeometry } = require('./routing');
+const { sendIncidentAlert } = require('./notifications');
+const { getDistanceKm, distanceToPolylineMeters, isWithinBounds, getBounds } = require('../utils/geo');
+const { DEFAULT_TIMEZONE, getLocalParts } = require('../utils/time');
+
+// An incident this close to a route counts as on it
+const CORRIDOR_METERS = 300;
+// Routes whose endpoints box (plus this margin) misses the incident are skipped
+const BOUNDS_MARGIN_KM = 5;
+// Commutes are watched from this long before their arrival time
+const COMMUTE_WINDOW_HOURS = 2;
+// Departure alerts are watched this long before their event
+const ALERT_WINDOW_HOURS = 3;
+// At most one incident push per user in this window
+const THROTTLE_MINUTES = 30;
+// Incidents this close to one the user was told about recently count as the same jam
+const SAME_JAM_RADIUS_KM = 1;
+const SAME_JAM_HOURS = 2;
+
+// Only users who want incident alerts (users without preferences get the defaults, which opt in)
+const optedInPreferences = { notificationsEnabled: true, incidentAlerts: true };
+const optedInUser = {
+  OR: [{ preferences: null }, { preferences: { is: optedInPreferences } }],
+};
+
+// Coordinate columns of saved places, and suffixes of the alert origin/destination columns
+const PLACE_FIELDS = { lat: 'latitude', lng: 'longitude' };
+const ALERT_FIELDS = { lat: 'Lat', lng: 'Lng' };
+
+/**
+ * Notify users whose routes pass near an incident
+ * @param {object} incident - Normalised incident
+ * @param {string} incident.key - Unique key, e.g. "community:<id>" or "tomtom:<id>"
+ * @param {string} incident.type - accident, hazard, police, roadwork, congestion, other
+ * @param {string} incident.severity - minor, moderate, major
+ * @param {number} incident.lat - Latitude
+ * @param {number} incident.lng - Longitude
+ * @param {string} incident.roadName - Optional road name
+ * @param {string} incident.excludeUserId - Optional user not to notify (e.g. the reporter)
+ * @returns {Promise<number>} Number of users notified
+ */
+async function notifyUsersNearIncident(incident) {
+  const now = new Date();
+  const userIds = await findAffectedUsers(incident, now);
+  userIds.delete(incident.excludeUserId);
+
+  let notified = 0;
+  for (const userId of userIds) {
+    try {
+      if (await claimNotification(userId, incident, now)) {
+        const result = await sendIncidentAlert(userId, incident.type, incident.roadName, incident.severity);
+        if (result.success) notified++;
+      }
+    } catch (error) {
+      logger.error(`[IncidentAlerts] Failed to notify user ${userId}: ${error.message}`);
+    }
+  }
+
+  if (notified > 0) {
+    logger.info(`[IncidentAlerts] Notified ${notified} user(s) about ${incident.key}`);
+  }
+  return notified;
+}
+
+/**
+ * Users with a watched route passing within the corridor of the incident
+ * @returns {Promise<Set<string>>} User ids
+ */
+async function findAffectedUsers(incident, now) {
+  const routes = await getWatchedRoutes(getBounds([incident], BOUNDS_MARGIN_KM), now);
+  const affected = new Set();
+
+  for (const route of routes) {
+    if (affected.has(route.userId)) continue;
+    if (!isWithinBounds(incident, [route.origin, route.destination], BOUNDS_MARGIN_KM)) continue;
+
+    try {
+      const points = await getRouteGeometry(route.origin, route.destination);
+      if (distanceToPolylineMeters(incident, points) <= CORRIDOR_METERS) {
+        affected.add(route.userId);
+      }
+    } catch (error) {
+      logger.warn(`[IncidentAlerts] Route geometry failed for user ${route.userId}: ${error.message}`);
+    }
+  }
+
+  return affected;
+}
+
+/**
+ * Conditions for a route's endpoints box to overlap the given bounds
+ * On each side at least one endpoint must be inside the bounds' edge, which
+ * the database can check without knowing which endpoint it is.
+ * @param {object} bounds - { minLat, maxLat, minLng, maxLng }
+ * @param {Function} endpointFilters - (axis, range) => where clauses, one per endpoint
+ * @returns {Array<object>} Clauses to AND together
+ */
+function reachesBounds(bounds, endpointFilters) {
+  return [
+    { OR: endpointFilters('lat', { lte: bounds.maxLat }) },
+    { OR: endpointFilters('lat', { gte: bounds.minLat }) },
+    { OR: endpointFilters('lng', { lte: bounds.maxLng }) },
+    { OR: endpointFilters('lng', { gte: bounds.minLng }) },
+  ];
+}
+
+/**
+ * Routes near the bounds currently worth watching, from three sources:
+ *   - recurring commutes inside their pre-arrival window
+ *   - home → work for users who haven't set up commutes
+ *   - pending departure alerts coming up soon
+ * @param {object} bounds - { minLat, maxLat, minLng, maxLng } around the incident
+ * @param {Date} now
+ * @returns {Promise<Array<object>>} [{ userId, origin, destination }]
+ */
+async function getWatchedRoutes(bounds, now) {
+  const [commutes, users, alerts] = await Promise.all([
+    findCommutesInWindow(bounds, now),
+    prisma.user.findMany({
+      where: {
+        ...optedInUser,
+        commutes: { none: {} },
+        AND: reachesBounds(bounds, (axis, range) => [
+          { savedPlaces: { some: { placeType: { in: ['home', 'work'] }, [PLACE_FIELDS[axis]]: range } } },
+        ]),
+      },
+      select: {
+        id: true,
+        savedPlaces: { where: { placeType: { in: ['home', 'work'] } } },
+      },
+    }),
+    prisma.scheduledAlert.findMany({
+      where: {
+        status: 'pending',
+        eventTime: { gt: now, lte: new Date(now.getTime() + ALERT_WINDOW_HOURS * 60 * 60 * 1000) },
+        user: optedInUser,
+        // Without an origin the alert starts from home
+        AND: reachesBounds(bounds, (axis, range) => [
+          { [`destination${ALERT_FIELDS[axis]}`]: range },
+          { [`origin${ALERT_FIELDS[axis]}`]: range },
+          {
+            [`origin${ALERT_FIELDS[axis]}`]: null,
+            user: { savedPlaces: { some: { placeType: 'home', [PLACE_FIELDS[axis]]: range } } },
+          },
+        ]),
+      },
+      include: {
+        user: { select: { savedPlaces: { where: { placeType: 'home' } } } },
+      },
+    }),
+  ]);
+
+  const routes = [];
+  const toPoint = (place) => ({ lat: place.latitude, lng: place.longitude });
+
+  for (const commute of commutes) {
+    routes.push({
+      userId: commute.userId,
+      origin: toPoint(commute.originPlace),
+      destination: toPoint(commute.destinationPlace),
+    });
+  }
+
+  for (const user of users) {
+    const home = user.savedPlaces.find((place) => place.placeType === 'home');
+    const work = user.savedPlaces.find((place) => place.placeType === 'work');
+    if (home && work) {
+      routes.push({ userId: user.id, origin: toPoint(home), destination: toPoint(work) });
+    }
+  }
+
+  for (const alert of alerts) {
+    const home = alert.user.savedPlaces[0];
+    const origin = alert.originLat != null
+      ? { lat: alert.originLat, lng: alert.originLng }
+      : home && toPoint(home);
+
+    if (origin) {
+      routes.push({
+        userId: alert.userId,
+        origin,
+        destination: { lat: alert.destinationLat, lng: alert.destinationLng },
+      });
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Active commutes near the bounds that run today and arrive within the window
+ * "Today" and the arrival time are local to each user, so the window is
+ * worked out once per timezone in use and matched on the stored "HH:mm".
+ * @returns {Promise<Array<object>>} Commutes with origin and destination places
+ */
+async function findCommutesInWindow(bounds, now) {
+  const rows = await prisma.userPreferences.findMany({
+    where: { ...optedInPreferences, user: { commutes: { some: { isActive: true } } } },
+    distinct: ['timezone'],
+    select: { timezone: true },
+  });
+  // Users without preferences are on the default timezone
+  const timeZones = new Set([DEFAULT_TIMEZONE, ...rows.map((row) => row.timezone)]);
+
+  return prisma.commute.findMany({
+    where: {
+      isActive: true,
+      user: optedInUser,
+      OR: [...timeZones].map((timezone) => ({
+        user: timezone === DEFAULT_TIMEZONE
+          ? { OR: [{ preferences: null }, { preferences: { is: { timezone } } }] }
+          : { preferences: { is: { timezone } } },
+        ...getCommuteWindowFilter(timezone, now),
+      })),
+      AND: reachesBounds(bounds, (axis, range) => [
+        { originPlace: { [PLACE_FIELDS[axis]]: range } },
+        { destinationPlace: { [PLACE_FIELDS[axis]]: range } },
+      ]),
+    },
+    include: {
+      originPlace: true,
+      destinationPlace: true,
+    },
+  });
+}
+
+/**
+ * Commutes in a timezone that run today and arrive between now and the window's end
+ * The window stops at local midnight, as a commute's arrival is always today's
+ */
+function getCommuteWindowFilter(timeZone, now) {
+  const toTime = (parts) => `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+  const today = getLocalParts(now, timeZone);
+  const windowEnd = getLocalParts(new Date(now.getTime() + COMMUTE_WINDOW_HOURS * 60 * 60 * 1000), timeZone);
+
+  return {
+    days: { has: today.weekday },
+    NOT: { skipDates: { has: today.date } },
+    arriveBy: {
+      gte: toTime(today),
+      lte: windowEnd.date === today.date ? toTime(windowEnd) : '23:59',
+    },
+  };
+}
+
+/**
+ * Apply the per-user throttle and record the notification
+ * The unique (userId, incidentKey) row means each incident is pushed once per user,
+ * even with several instances running
+ * @returns {Promise<boolean>} Whether the push should go out
+ */
+async function claimNotification(userId, incident, now) {
+  const recent = await prisma.incidentAlertLog.findMany({
+    where: {
+      userId,
+      sentAt: { gte: new Date(now.getTime() - SAME_JAM_HOURS * 60 * 60 * 1000) },
+    },
+  });
+
+  const throttled = recent.some(
+    (log) => log.sentAt.getTime() >= now.getTime() - THROTTLE_MINUTES * 60 * 1000
+  );
+  const sameJam = recent.some(
+    (log) => getDistanceKm(log.latitude, log.longitude, incident.lat, incident.lng) <= SAME_JAM_RADIUS_KM
+  );
+  if (throttled || sameJam) return false;
+
+  try {
+    await prisma.incidentAlertLog.create({
+      data: {
+        userId,
+        incidentKey: incident.key,
+        latitude: incident.lat,
+        longitude: incident.lng,
+        sentAt: now,
+      },
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 'P2002') return false; // Already notified about this incident
+    throw error;
+  }
+}
+
+module.exports = {
+  notifyUsersNearIncident,
+};
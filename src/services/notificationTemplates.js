@@ -0,0 +1,305 @@
+/**
+ * Notification Templates
+ *
+ * English and Arabic copy for every push, rendered with the user's display
+ * preferences (language, distanceUnit, timeFormat, timezone). Placeholders
+ * are written as {name}. Each template also carries the APNs presentation
+ * options: thread-id (grouping), interruption-level and category (actions).
+ */
+
+const { DEFAULT_TIMEZONE } = require('../utils/time');
+
+const LANGUAGES = ['en', 'ar'];
+const DEFAULT_LANGUAGE = 'en';
+
+const METERS_PER_MILE = 1609.344;
+
+// Action buttons per APNs category. The app registers these with
+// UNNotificationCategory using the titles from GET /api/users/me/notifications/categories
+const CATEGORIES = {
+  DEPARTURE_ALERT: [
+    { id: 'REROUTE', title: { en: 'Reroute', ar: 'تغيير المسار' } },
+    { id: 'SNOOZE_10', title: { en: 'Snooze 10 min', ar: 'تأجيل 10 دقائق' } },
+  ],
+  INCIDENT_ALERT: [
+    { id: 'REROUTE', title: { en: 'Reroute', ar: 'تغيير المسار' } },
+  ],
+};
+
+const LABELS = {
+  trafficStatus: {
+    free: { en: 'roads are clear', ar: 'الطريق سالك' },
+    light: { en: 'light traffic', ar: 'حركة مرور خفيفة' },
+    moderate: { en: 'moderate traffic', ar: 'حركة مرور متوسطة' },
+    heavy: { en: 'heavy traffic', ar: 'حركة مرور كثيفة' },
+    severe: { en: 'severe traffic', ar: 'ازدحام شديد' },
+  },
+  incidentType: {
+    accident: { en: 'Accident', ar: 'حادث' },
+    hazard: { en: 'Hazard', ar: 'خطر' },
+    police: { en: 'Police', ar: 'شرطة' },
+    roadwork: { en: 'Roadwork', ar: 'أعمال طرق' },
+    congestion: { en: 'Congestion', ar: 'ازدحام' },
+    other: { en: 'Incident', ar: 'بلاغ' },
+  },
+  severity: {
+    minor: { en: 'Minor', ar: 'بسيط' },
+    moderate: { en: 'Moderate', ar: 'متوسط' },
+    major: { en: 'Major', ar: 'خطير' },
+  },
+  yourRoute: { en: 'your route', ar: 'طريقك' },
+};
+
+const TRAFFIC_EMOJI = {
+  free: '🟢',
+  light: '🟡',
+  moderate: '🟠',
+  heavy: '🔴',
+  severe: '⛔',
+};
+
+const INCIDENT_EMOJI = {
+  accident: '🚨',
+  hazard: '⚠️',
+  police: '👮',
+  roadwork: '🚧',
+  congestion: '🚗',
+};
+
+const TEMPLATES = {
+  departure_alert: {
+    en: {
+      title: '{emoji} Time to leave for {destination}',
+      body: 'ETA {eta} min ({distance}), {traffic}. Leave now to arrive around {arrivalTime}.',
+    },
+    ar: {
+      title: '{emoji} حان وقت الانطلاق إلى {destination}',
+      body: 'مدة الرحلة {eta} دقيقة ({distance})، {traffic}. انطلق الآن لتصل حوالي {arrivalTime}.',
+    },
+    threadId: 'departures',
+    interruptionLevel: 'time-sensitive',
+    category: 'DEPARTURE_ALERT',
+  },
+  incident_alert: {
+    en: {
+      title: '{emoji} {type} reported',
+      body: '{severity} incident on {road}',
+    },
+    ar: {
+      title: '{emoji} بلاغ {type}',
+      body: 'بلاغ {severity} على {road}',
+    },
+    threadId: 'incidents',
+    interruptionLevel: 'active',
+    category: 'INCIDENT_ALERT',
+  },
+  weekly_summary_saved: {
+    en: {
+      title: '📊 Your Weekly Traffic Summary',
+      body: '{trips} trips, {saved} min saved! 🎉',
+    },
+    ar: {
+      title: '📊 ملخصك الأسبوعي لحركة المرور',
+      body: '{trips} رحلات، ووفرت {saved} دقيقة! 🎉',
+    },
+    threadId: 'weekly-summary',
+    interruptionLevel: 'passive',
+  },
+  weekly_summary_delayed: {
+    en: {
+      title: '📊 Your Weekly Traffic Summary',
+      body: '{trips} trips, {delay} min of traffic delays',
+    },
+    ar: {
+      title: '📊 ملخصك الأسبوعي لحركة المرور',
+      body: '{trips} رحلات و{delay} دقيقة تأخير بسبب الزحام',
+    },
+    threadId: 'weekly-summary',
+    interruptionLevel: 'passive',
+  },
+  // Live Activity alerts for a trip in progress
+  trip_eta_later: {
+    en: {
+      title: '🔴 Traffic building up',
+      body: 'New arrival time {arrivalTime} ({change} min later)',
+    },
+    ar: {
+      title: '🔴 الازدحام يزداد',
+      body: 'موعد الوصول الجديد {arrivalTime} (متأخر {change} دقيقة)',
+    },
+    threadId: 'trip',
+    interruptionLevel: 'time-sensitive',
+  },
+  trip_eta_earlier: {
+    en: {
+      title: '🟢 Traffic clearing',
+      body: 'New arrival time {arrivalTime} ({change} min earlier)',
+    },
+    ar: {
+      title: '🟢 الطريق ينفرج',
+      body: 'موعد الوصول الجديد {arrivalTime} (أبكر بـ{change} دقيقة)',
+    },
+    threadId: 'trip',
+    interruptionLevel: 'time-sensitive',
+  },
+  trip_incident_ahead: {
+    en: {
+      title: '{emoji} {type} ahead',
+      body: '{severity} incident on {road}, {distance} ahead',
+    },
+    ar: {
+      title: '{emoji} {type} أمامك',
+      body: 'بلاغ {severity} على {road} بعد {distance}',
+    },
+    threadId: 'trip',
+    interruptionLevel: 'time-sensitive',
+  },
+};
+
+function getLanguage(preferences) {
+  return LANGUAGES.includes(preferences?.language) ? preferences.language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Look up a label in the user's language
+ */
+function label(group, key, language) {
+  const entry = LABELS[group][key];
+  return entry ? entry[language] : key;
+}
+
+/**
+ * Format a distance in the user's unit
+ * @param {number} meters - Distance in meters
+ * @param {string} unit - km or mi
+ * @param {string} language - en or ar
+ */
+function formatDistance(meters, unit, language) {
+  const miles = unit === 'mi';
+  const value = miles ? meters / METERS_PER_MILE : meters / 1000;
+  const rounded = value < 10 ? value.toFixed(1) : String(Math.round(value));
+
+  const units = language === 'ar'
+    ? { km: 'كم', mi: 'ميل' }
+    : { km: 'km', mi: 'mi' };
+
+  return `${rounded} ${miles ? units.mi : units.km}`;
+}
+
+/**
+ * Format a clock time in the user's timezone and 12h/24h preference
+ * @param {Date|string} date - Instant to format
+ * @param {string} timeFormat - 12h or 24h
+ * @param {string} timeZone - IANA timezone name
+ * @param {string} language - en or ar
+ */
+function formatTime(date, timeFormat, timeZone, language) {
+  return new Intl.DateTimeFormat(language === 'ar' ? 'ar-AE-u-nu-latn' : 'en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: '2-digit',
+    hourCycle: timeFormat === '12h' ? 'h12' : 'h23',
+  }).format(new Date(date));
+}
+
+/**
+ * Fill {name} placeholders
+ */
+function fill(text, values) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (values[name] != null ? values[name] : ''));
+}
+
+/**
+ * Turn raw template params into display values for a language
+ */
+function buildValues(name, params, preferences, language) {
+  const timeZone = preferences?.timezone || DEFAULT_TIMEZONE;
+
+  switch (name) {
+    case 'departure_alert':
+      return {
+        emoji: TRAFFIC_EMOJI[params.trafficStatus] || '🚗',
+        destination: params.destinationName,
+        eta: params.etaMinutes,
+        distance: formatDistance(params.distanceMeters, preferences?.distanceUnit, language),
+        traffic: label('trafficStatus', params.trafficStatus, language),
+        arrivalTime: formatTime(params.arrivalTime, preferences?.timeFormat, timeZone, language),
+      };
+    case 'incident_alert':
+      return {
+        emoji: INCIDENT_EMOJI[params.incidentType] || '📍',
+        type: label('incidentType', params.incidentType, language),
+        severity: label('severity', params.severity, language),
+        road: params.roadName || LABELS.yourRoute[language],
+      };
+    case 'trip_eta_later':
+    case 'trip_eta_earlier':
+      return {
+        arrivalTime: formatTime(params.arrivalTime, preferences?.timeFormat, timeZone, language),
+        change: Math.abs(params.changeMinutes),
+      };
+    case 'trip_incident_ahead':
+      return {
+        emoji: INCIDENT_EMOJI[params.incidentType] || '📍',
+        type: label('incidentType', params.incidentType, language),
+        severity: label('severity', params.severity, language),
+        road: params.roadName || LABELS.yourRoute[language],
+        distance: formatDistance(params.distanceMeters, preferences?.distanceUnit, language),
+      };
+    case 'weekly_summary_saved':
+    case 'weekly_summary_delayed':
+      return {
+        trips: params.totalTrips,
+        saved: params.timeSavedMinutes,
+        delay: params.totalDelayMinutes || 0,
+      };
+    default:
+      return params;
+  }
+}
+
+/**
+ * Render a template for a user
+ * @param {string} name - Template name (key of TEMPLATES)
+ * @param {object} params - Raw values for the template
+ * @param {object} preferences - UserPreferences row (language, distanceUnit, timeFormat, timezone)
+ * @returns {object} { title, body, threadId, interruptionLevel, category }
+ */
+function renderNotification(name, params, preferences) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  const language = getLanguage(preferences);
+  const values = buildValues(name, params, preferences, language);
+  const copy = template[language];
+
+  return {
+    title: fill(copy.title, values),
+    body: fill(copy.body, values),
+    threadId: template.threadId,
+    interruptionLevel: template.interruptionLevel,
+    category: template.category,
+  };
+}
+
+/**
+ * Notification categories and their action titles in a language
+ * @returns {Array<object>} [{ id, actions: [{ id, title }] }]
+ */
+function getCategories(language) {
+  const lang = LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+
+  return Object.entries(CATEGORIES).map(([id, actions]) => ({
+    id,
+    actions: actions.map((action) => ({ id: action.id, title: action.title[lang] })),
+  }));
+}
+
+module.exports = {
+  renderNotification,
+  getCategories,
+  formatDistance,
+  formatTime,
+};
@@ -1,12 +1,147 @@
-const admin = require('firebase-admin');
 const prisma = require('../utils/prisma');
 const logger = require('../utils/logger');
+const { DEFAULT_TIMEZONE, getLocalParts, localToUtc } = require('../utils/time');
+const { sendPush, sendLiveActivityPush } = require('./push');
+const { renderNotification } = require('./notificationTemplates');
+
+// Delivery rules per notification type (data.type)
+//   preference: UserPreferences toggle for the category
+//   capField / dailyCap: per-user or fixed max pushes per local day
+//   quietHours: whether quiet hours apply (departure alerts are scheduled by
+//               the user for a specific time, so they always go out)
+const CATEGORY_RULES = {
+  departure_alert: { preference: 'departureAlerts', capField: 'departureAlertsDailyCap', quietHours: false },
+  incident_alert: { preference: 'incidentAlerts', capField: 'incidentAlertsDailyCap', quietHours: true },
+  weekly_summary: { preference: 'weeklyDigest', dailyCap: 1, quietHours: true },
+};
+
+// Suppressions the user asked for; these aren't kept in the inbox either
+const UNSTORED_SUPPRESSIONS = ['notifications_disabled', 'category_disabled'];
+
+// Rules for users without a preferences row
+const DEFAULT_PREFERENCES = {
+  notificationsEnabled: true,
+  departureAlerts: true,
+  incidentAlerts: true,
+  weeklyDigest: true,
+  quietHoursEnabled: false,
+  departureAlertsDailyCap: 10,
+  incidentAlertsDailyCap: 5,
+  language: 'en',
+  distanceUnit: 'km',
+  timeFormat: '24h',
+  timezone: DEFAULT_TIMEZONE,
+};
+
+/**
+ * Whether a user's quiet hours are in effect
+ * Handles windows that cross midnight (e.g. 22:00-07:00)
+ * @param {object} preferences - UserPreferences row
+ * @param {Date} now - Instant to check
+ * @returns {boolean}
+ */
+function isInQuietHours(preferences, now = new Date()) {
+  if (!preferences?.quietHoursEnabled) return false;
+
+  const toMinutes = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+  };
+
+  const local = getLocalParts(now, preferences.timezone || DEFAULT_TIMEZONE);
+  const current = local.hour * 60 + local.minute;
+  const start = toMinutes(preferences.quietHoursStart);
+  const end = toMinutes(preferences.quietHoursEnd);
+
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * Check a notification against the user's delivery rules
+ * @returns {Promise<string|null>} Suppression reason, or null if it may be sent
+ */
+async function checkDeliveryRules(userId, type, preferences, options) {
+  if (!preferences.notificationsEnabled) return 'notifications_disabled';
+
+  const rule = CATEGORY_RULES[type];
+  if (!rule) return null;
+
+  if (preferences[rule.preference] === false) return 'category_disabled';
+
+  if (rule.quietHours && !options.critical && isInQuietHours(preferences)) {
+    return 'quiet_hours';
+  }
+
+  const cap = rule.dailyCap ?? preferences[rule.capField];
+  if (cap != null) {
+    const timeZone = preferences.timezone || DEFAULT_TIMEZONE;
+    const startOfDay = localToUtc(getLocalParts(new Date(), timeZone).date, '00:00', timeZone);
+
+    const sentToday = await prisma.notification.count({
+      where: {
+        userId,
+        type,
+        createdAt: { gte: startOfDay },
+        deliveryStatus: { not: 'suppressed' },
+      },
+    });
+    if (sentToday >= cap) return 'daily_cap';
+  }
+
+  return null;
+}
 
 /**
  * Send push notification to a user
+ * Notifications are stored in the user's inbox (Notification) with their
+ * per-token delivery results, and the badge shows the real unread count.
+ * Ones the user switched off (everything or the category) are dropped, and
+ * ones held back by quiet hours or a daily cap stay out of the unread count.
+ * Delivery rules (master switch, category toggles, quiet hours, daily caps)
+ * are enforced here so every caller follows them.
+ * @param {object} notification - { title, body } or { template, params } to render
+ *                                from services/notificationTemplates in the user's language
+ * @param {object} options - { critical } breaks through quiet hours
+ * @returns {Promise<object>} Result; suppressed pushes carry suppressed: true and a reason
  */
-async function sendToUser(userId, notification, data = {}) {
+async function sendToUser(userId, notification, data = {}, options = {}) {
+  let record;
   try {
+    const type = data.type || 'general';
+    const preferences = (await prisma.userPreferences.findUnique({ where: { userId } })) || DEFAULT_PREFERENCES;
+    const suppressedReason = await checkDeliveryRules(userId, type, preferences, options);
+
+    const rendered = notification.template
+      ? renderNotification(notification.template, notification.params, preferences)
+      : notification;
+    const content = options.critical ? { ...rendered, interruptionLevel: 'time-sensitive' } : rendered;
+
+    if (UNSTORED_SUPPRESSIONS.includes(suppressedReason)) {
+      logger.info(`Push to user ${userId} suppressed: ${suppressedReason}`);
+      return { success: false, suppressed: true, reason: suppressedReason };
+    }
+
+    record = await prisma.notification.create({
+      data: {
+        userId,
+        type,
+        title: content.title,
+        body: content.body,
+        payload: JSON.stringify(data),
+        ...(suppressedReason && {
+          deliveryStatus: 'suppressed',
+          deliveries: JSON.stringify({ reason: suppressedReason }),
+        }),
+      },
+    });
+
+    if (suppressedReason) {
+      logger.info(`Push to user ${userId} suppressed: ${suppressedReason}`);
+      return { success: false, suppressed: true, reason: suppressedReason, notificationId: record.id };
+    }
+
     // Get active push tokens for user
     const tokens = await prisma.pushToken.findMany({
       where: { userId, isActive: true },
@@ -14,11 +149,16 @@ async function sendToUser(userId, notification, data = {}) {
 
     if (tokens.length === 0) {
       logger.info(`No push tokens for user ${userId}`);
-      return { success: false, reason: 'no_tokens' };
+      await recordDelivery(record.id, 'no_tokens', []);
+      return { success: false, reason: 'no_tokens', notificationId: record.id };
     }
 
+    const badge = await getUnreadCount(userId);
+
     const results = await Promise.all(
-      tokens.map((token) => sendToToken(token.token, notification, data))
+      tokens.map((token) =>
+        sendToToken(token, content, { ...data, notification_id: record.id }, { badge })
+      )
     );
 
     // Deactivate invalid tokens
@@ -31,92 +171,151 @@ async function sendToUser(userId, notification, data = {}) {
     }
 
     const successCount = results.filter((r) => r.success).length;
-    return { success: successCount > 0, sent: successCount, total: tokens.length };
+    const status = successCount === tokens.length ? 'sent' : successCount > 0 ? 'partial' : 'failed';
+
+    await recordDelivery(
+      record.id,
+      status,
+      tokens.map((token, i) => ({
+        tokenId: token.id,
+        token: `...${token.token.slice(-8)}`,
+        ...results[i],
+      }))
+    );
+
+    return {
+      success: successCount > 0,
+      sent: successCount,
+      total: tokens.length,
+      notificationId: record.id,
+    };
   } catch (error) {
     logger.error('Send to user error:', error.message);
+    if (record) {
+      await recordDelivery(record.id, 'failed', [], error.message).catch(() => {});
+    }
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Store the delivery outcome on a notification record
+ */
+async function recordDelivery(notificationId, status, deliveries, error) {
+  await prisma.notification.update({
+    where: { id: notificationId },
+    data: {
+      deliveryStatus: status,
+      deliveries: JSON.stringify(error ? { error } : deliveries),
+    },
+  });
+}
+
+/**
+ * Count a user's unread notifications (used as the app badge)
+ * Suppressed notifications were never pushed, so they don't count
+ */
+async function getUnreadCount(userId) {
+  return prisma.notification.count({
+    where: { userId, readAt: null, deliveryStatus: { not: 'suppressed' } },
+  });
+}
+
 /**
  * Send push notification to a specific token
+ * The provider (APNs, FCM or the local sink) is picked per token, see push/index.js
+ * @param {object} pushToken - PushToken row
+ * @param {object} notification - { title, body, threadId, interruptionLevel, category }
+ * @param {object} options - { badge } app icon badge number (default 1)
  */
-async function sendToToken(token, notification, data = {}) {
+async function sendToToken(pushToken, notification, data = {}, options = {}) {
   try {
-    if (!admin.apps.length) {
-      logger.warn('Firebase not initialized - cannot send push notification');
-      return { success: false, reason: 'firebase_not_initialized' };
-    }
-
-    const message = {
-      token,
-      notification: {
-        title: notification.title,
-        body: notification.body,
-      },
-      data: {
-        ...data,
-        click_action: 'FLUTTER_NOTIFICATION_CLICK',
-      },
-      apns: {
-        payload: {
-          aps: {
-            sound: 'default',
-            badge: 1,
-          },
-        },
-      },
-      android: {
-        priority: 'high',
-        notification: {
-          sound: 'default',
-          channelId: 'yalla_traffic',
-        },
-      },
-    };
+    const result = await sendPush(pushToken, {
+      title: notification.title,
+      body: notification.body,
+      data,
+      badge: options.badge ?? 1,
+      sound: 'default',
+      threadId: notification.threadId,
+      interruptionLevel: notification.interruptionLevel,
+      category: notification.category,
+    });
 
-    await admin.messaging().send(message);
-    logger.info(`Push sent to token ${token.slice(0, 10)}...`);
-    return { success: true };
+    if (result.success) {
+      logger.info(`Push sent to token ${pushToken.token.slice(0, 10)}... via ${result.provider}`);
+    } else if (result.error) {
+      logger.error('Push error:', result.error);
+    }
+    return result;
   } catch (error) {
     logger.error('Push error:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send a Live Activity update for a trip session
+ * Live Activity pushes bypass the inbox and delivery rules: the user started
+ * the activity and it only lives for the length of the trip.
+ * @param {object} session - TripSession row (activityPushToken, bundleId)
+ * @param {object} update
+ * @param {string} update.event - update or end
+ * @param {object} update.contentState - Must match the app's ActivityAttributes.ContentState
+ * @param {string} update.template - Optional alert template (makes the update alerting)
+ * @param {object} update.params - Template params
+ * @param {Date} update.staleDate - Optional time the content goes stale
+ * @param {Date} update.dismissalDate - Optional time an ended activity is removed
+ * @returns {Promise<object>} { success, invalidToken, error }
+ */
+async function sendLiveActivityUpdate(session, update) {
+  try {
+    if (!session.activityPushToken) {
+      return { success: false, reason: 'no_activity_token' };
+    }
 
-    // Check if token is invalid
-    if (
-      error.code === 'messaging/invalid-registration-token' ||
-      error.code === 'messaging/registration-token-not-registered'
-    ) {
-      return { success: false, invalidToken: true };
+    let alert;
+    if (update.template) {
+      const preferences = (await prisma.userPreferences.findUnique({ where: { userId: session.userId } }))
+        || DEFAULT_PREFERENCES;
+      alert = renderNotification(update.template, update.params, preferences);
     }
 
+    return await sendLiveActivityPush(
+      { token: session.activityPushToken, bundleId: session.bundleId },
+      {
+        event: update.event,
+        contentState: update.contentState,
+        alert,
+        staleDate: update.staleDate,
+        dismissalDate: update.dismissalDate,
+      }
+    );
+  } catch (error) {
+    logger.error('Live Activity push error:', error.message);
     return { success: false, error: error.message };
   }
 }
 
 /**
  * Send departure alert to user
+ * @param {string} userId - User id
+ * @param {object} alert
+ * @param {string} alert.alertId - ScheduledAlert id (used by the Snooze action)
+ * @param {string} alert.destinationName - Destination shown to the user
+ * @param {number} alert.etaMinutes - Live travel time
+ * @param {number} alert.distanceMeters - Route length
+ * @param {string} alert.arrivalTime - Expected arrival if leaving now
+ * @param {string} alert.trafficStatus - free, light, moderate, heavy, severe
  */
-async function sendDepartureAlert(userId, destinationName, etaMinutes, trafficStatus) {
-  const statusEmoji = {
-    free: '🟢',
-    light: '🟡',
-    moderate: '🟠',
-    heavy: '🔴',
-    severe: '⛔',
-  };
-
-  const emoji = statusEmoji[trafficStatus] || '🚗';
-
+async function sendDepartureAlert(userId, alert) {
   return sendToUser(
     userId,
-    {
-      title: `${emoji} Time to leave for ${destinationName}`,
-      body: `ETA: ${etaMinutes} min. Leave now for the best route!`,
-    },
+    { template: 'departure_alert', params: alert },
     {
       type: 'departure_alert',
-      destination: destinationName,
-      eta_minutes: String(etaMinutes),
+      alert_id: alert.alertId || '',
+      destination: alert.destinationName,
+      eta_minutes: String(alert.etaMinutes),
     }
   );
 }
@@ -125,52 +324,44 @@ async function sendDepartureAlert(userId, destinationName, etaMinutes, trafficSt
  * Send traffic incident alert
  */
 async function sendIncidentAlert(userId, incidentType, roadName, severity) {
-  const typeEmoji = {
-    accident: '🚨',
-    hazard: '⚠️',
-    police: '👮',
-    roadwork: '🚧',
-    congestion: '🚗',
-  };
-
-  const emoji = typeEmoji[incidentType] || '📍';
-
   return sendToUser(
     userId,
-    {
-      title: `${emoji} ${incidentType.charAt(0).toUpperCase() + incidentType.slice(1)} reported`,
-      body: `${severity} incident on ${roadName || 'your route'}`,
-    },
+    { template: 'incident_alert', params: { incidentType, roadName, severity } },
     {
       type: 'incident_alert',
       incident_type: incidentType,
       road_name: roadName || '',
       severity,
-    }
+    },
+    // Major incidents break through quiet hours
+    { critical: severity === 'major' }
   );
 }
 
 /**
  * Send weekly summary
+ * Copy comes from the user's language preference
+ * @param {string} userId - User id
+ * @param {object} stats - { totalTrips, timeSavedMinutes, totalDelayMinutes, averageScore }
  */
 async function sendWeeklySummary(userId, stats) {
-  return sendToUser(
-    userId,
-    {
-      title: '📊 Your Weekly Traffic Summary',
-      body: `${stats.totalTrips} trips, ${stats.timeSavedMinutes} min saved! 🎉`,
-    },
-    {
-      type: 'weekly_summary',
-      total_trips: String(stats.totalTrips),
-      time_saved: String(stats.timeSavedMinutes),
-    }
-  );
+  const template = stats.timeSavedMinutes > 0 ? 'weekly_summary_saved' : 'weekly_summary_delayed';
+
+  return sendToUser(userId, { template, params: stats }, {
+    type: 'weekly_summary',
+    total_trips: String(stats.totalTrips),
+    time_saved: String(stats.timeSavedMinutes),
+    total_delay: String(stats.totalDelayMinutes || 0),
+    average_score: stats.averageScore != null ? String(stats.averageScore) : '',
+  });
 }
 
 module.exports = {
+  isInQuietHours,
   sendToUser,
   sendToToken,
+  getUnreadCount,
+  sendLiveActivityUpdate,
   sendDepartureAlert,
   sendIncidentAlert,
   sendWeeklySummary,
@@ -0,0 +1,243 @@
+/**
+ * Direct APNs push provider (HTTP/2, token-based .p8 auth)
+ *
+ * Env:
+ *   APNS_KEY_ID, APNS_TEAM_ID - From the Apple developer account
+ *   APNS_KEY or APNS_KEY_PATH - .p8 signing key contents or file path
+ *   APNS_BUNDLE_ID - Default apns-topic when a token has no bundleId
+ *   APNS_ENV - production or development (defaults to production when NODE_ENV is)
+ */
+
+const fs = require('fs');
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+const logger = require('../../utils/logger');
+
+const HOSTS = {
+  production: 'https://api.push.apple.com',
+  development: 'https://api.sandbox.push.apple.com',
+};
+
+// Apple rejects provider tokens older than an hour and throttles refreshing
+// more often than every 20 minutes
+const PROVIDER_TOKEN_TTL_MS = 50 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Reasons that mean the device token will never work again
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered'];
+
+let session = null;
+let signingKey = null;
+let providerToken = null;
+
+function getHost() {
+  const env = process.env.APNS_ENV || (process.env.NODE_ENV === 'production' ? 'production' : 'development');
+  return HOSTS[env] || HOSTS.development;
+}
+
+function getSigningKey() {
+  if (!signingKey) {
+    if (process.env.APNS_KEY) {
+      // Allow the key to be pasted into a single-line env var
+      signingKey = process.env.APNS_KEY.replace(/\\n/g, '\n');
+    } else if (process.env.APNS_KEY_PATH) {
+      signingKey = fs.readFileSync(process.env.APNS_KEY_PATH, 'utf8');
+    }
+  }
+  return signingKey;
+}
+
+function isConfigured() {
+  return Boolean(
+    process.env.APNS_KEY_ID &&
+    process.env.APNS_TEAM_ID &&
+    (process.env.APNS_KEY || process.env.APNS_KEY_PATH)
+  );
+}
+
+/**
+ * Get a cached ES256 provider token, refreshing it before Apple expires it
+ */
+function getProviderToken() {
+  if (!providerToken || Date.now() - providerToken.issuedAt > PROVIDER_TOKEN_TTL_MS) {
+    providerToken = {
+      token: jwt.sign({}, getSigningKey(), {
+        algorithm: 'ES256',
+        issuer: process.env.APNS_TEAM_ID,
+        header: { alg: 'ES256', kid: process.env.APNS_KEY_ID },
+      }),
+      issuedAt: Date.now(),
+    };
+  }
+  return providerToken.token;
+}
+
+/**
+ * Get the shared HTTP/2 session, reconnecting if it was closed
+ */
+function getSession() {
+  if (!session || session.closed || session.destroyed) {
+    session = http2.connect(getHost());
+    session.on('error', (error) => {
+      logger.warn('APNs connection error:', error.message);
+      session = null;
+    });
+    session.on('goaway', () => {
+      session = null;
+    });
+    // Don't keep the process alive just for an idle APNs connection
+    session.unref();
+  }
+  return session;
+}
+
+/**
+ * Build the APNs JSON payload from a provider-neutral message
+ */
+function buildPayload(message) {
+  const aps = {
+    alert: { title: message.title, body: message.body },
+    sound: message.sound,
+    badge: message.badge,
+  };
+  if (message.threadId) aps['thread-id'] = message.threadId;
+  if (message.interruptionLevel) aps['interruption-level'] = message.interruptionLevel;
+  if (message.category) aps.category = message.category;
+
+  return { aps, ...message.data };
+}
+
+/**
+ * POST a payload to APNs for one device token
+ * @returns {Promise<object>} { success, invalidToken, error }
+ */
+function post(deviceToken, headers, payload) {
+  return new Promise((resolve) => {
+    let status;
+    let body = '';
+    let request;
+
+    try {
+      request = getSession().request({
+        ':method': 'POST',
+        ':path': `/3/device/${deviceToken}`,
+        authorization: `bearer ${getProviderToken()}`,
+        ...headers,
+      });
+    } catch (error) {
+      session = null;
+      return resolve({ success: false, error: error.message });
+    }
+
+    request.setEncoding('utf8');
+    request.on('response', (responseHeaders) => {
+      status = responseHeaders[':status'];
+    });
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      if (status === 200) {
+        return resolve({ success: true });
+      }
+
+      let reason;
+      try {
+        reason = JSON.parse(body).reason;
+      } catch {
+        reason = null;
+      }
+
+      resolve({
+        success: false,
+        invalidToken: status === 410 || INVALID_TOKEN_REASONS.includes(reason),
+        error: reason || `HTTP ${status}`,
+      });
+    });
+    request.on('error', (error) => {
+      resolve({ success: false, error: error.message });
+    });
+    request.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      request.close(http2.constants.NGHTTP2_CANCEL);
+      resolve({ success: false, error: 'APNs request timed out' });
+    });
+
+    request.end(JSON.stringify(payload));
+  });
+}
+
+/**
+ * Send a push message to one device token
+ * @param {object} pushToken - PushToken row
+ * @param {object} message - Provider-neutral message (see push/index.js)
+ * @returns {Promise<object>} { success, invalidToken, error }
+ */
+async function send(pushToken, message) {
+  if (!isConfigured()) {
+    logger.warn('APNs not configured - cannot send push notification');
+    return { success: false, reason: 'apns_not_configured' };
+  }
+
+  const topic = pushToken.bundleId || process.env.APNS_BUNDLE_ID;
+  if (!topic) {
+    return { success: false, error: 'No bundleId for apns-topic' };
+  }
+
+  return post(
+    pushToken.token,
+    {
+      'apns-topic': topic,
+      'apns-push-type': 'alert',
+      'apns-priority': '10',
+    },
+    buildPayload(message)
+  );
+}
+
+/**
+ * Send a Live Activity update
+ * @param {object} activity - { token, bundleId } push-to-update token of the activity
+ * @param {object} update - Live Activity update (see push/index.js)
+ * @returns {Promise<object>} { success, invalidToken, error }
+ */
+async function sendLiveActivity(activity, update) {
+  if (!isConfigured()) {
+    logger.warn('APNs not configured - cannot send Live Activity update');
+    return { success: false, reason: 'apns_not_configured' };
+  }
+
+  const bundleId = activity.bundleId || process.env.APNS_BUNDLE_ID;
+  if (!bundleId) {
+    return { success: false, error: 'No bundleId for apns-topic' };
+  }
+
+  const aps = {
+    timestamp: Math.floor(Date.now() / 1000),
+    event: update.event,
+    'content-state': update.contentState,
+  };
+  if (update.alert) {
+    aps.alert = { title: update.alert.title, body: update.alert.body };
+    aps.sound = 'default';
+  }
+  if (update.staleDate) aps['stale-date'] = Math.floor(update.staleDate.getTime() / 1000);
+  if (update.dismissalDate) aps['dismissal-date'] = Math.floor(update.dismissalDate.getTime() / 1000);
+
+  return post(
+    activity.token,
+    {
+      'apns-topic': `${bundleId}.push-type.liveactivity`,
+      'apns-push-type': 'liveactivity',
+      // Apple budgets priority 10 updates, so only alerting updates use it
+      'apns-priority': update.alert ? '10' : '5',
+    },
+    { aps }
+  );
+}
+
+module.exports = {
+  name: 'apns',
+  isConfigured,
+  send,
+  sendLiveActivity,
+};
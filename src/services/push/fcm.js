@@ -0,0 +1,97 @@
+/**
+ * Firebase Cloud Messaging push provider
+ *
+ * Used for Android tokens and iOS tokens registered through Firebase.
+ * Initialised lazily from FIREBASE_SERVICE_ACCOUNT (service account JSON).
+ */
+
+const logger = require('../../utils/logger');
+
+let admin = null;
+
+/**
+ * Load and initialise firebase-admin on first use
+ * @returns {object|null} firebase-admin, or null if not configured
+ */
+function getAdmin() {
+  if (admin) return admin;
+  if (!process.env.FIREBASE_SERVICE_ACCOUNT) return null;
+
+  // Cached only once initialised, so a bad service account is retried (and reported) on the next send
+  const firebase = require('firebase-admin');
+  if (!firebase.apps.length) {
+    firebase.initializeApp({
+      credential: firebase.credential.cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)),
+    });
+  }
+  admin = firebase;
+  return admin;
+}
+
+function isConfigured() {
+  return Boolean(process.env.FIREBASE_SERVICE_ACCOUNT);
+}
+
+/**
+ * Send a push message to one token
+ * @param {object} pushToken - PushToken row
+ * @param {object} message - Provider-neutral message (see push/index.js)
+ * @returns {Promise<object>} { success, invalidToken, error }
+ */
+async function send(pushToken, message) {
+  try {
+    const firebase = getAdmin();
+    if (!firebase) {
+      logger.warn('Firebase not initialized - cannot send push notification');
+      return { success: false, reason: 'firebase_not_initialized' };
+    }
+
+    await firebase.messaging().send({
+      token: pushToken.token,
+      notification: {
+        title: message.title,
+        body: message.body,
+      },
+      data: {
+        ...message.data,
+        click_action: 'FLUTTER_NOTIFICATION_CLICK',
+      },
+      apns: {
+        payload: {
+          aps: {
+            sound: message.sound,
+            badge: message.badge,
+            ...(message.threadId && { 'thread-id': message.threadId }),
+            ...(message.interruptionLevel && { 'interruption-level': message.interruptionLevel }),
+            ...(message.category && { category: message.category }),
+          },
+        },
+      },
+      android: {
+        priority: 'high',
+        notification: {
+          sound: message.sound,
+          channelId: 'yalla_traffic',
+        },
+      },
+    });
+
+    return { success: true };
+  } catch (error) {
+    // Check if token is invalid
+    if (
+      error.code === 'messaging/invalid-registration-token' ||
+      error.code === 'messaging/registration-token-not-registered'
+    ) {
+      return { success: false, invalidToken: true };
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  name: 'fcm',
+  isConfigured,
+  send,
+};
@@ -0,0 +1,64 @@
+/**
+ * Push transport selection
+ *
+ * Every provider exports { name, isConfigured(), send(pushToken, message) }
+ * and resolves to { success, invalidToken, error }. A message is
+ * provider-neutral: { title, body, data, badge, sound, threadId,
+ * interruptionLevel, category } (the last three are APNs presentation options).
+ *
+ * PUSH_TRANSPORT=sink routes everything to the local sink (development/tests);
+ * otherwise raw APNs device tokens go to APNs and everything else to FCM.
+ *
+ * Live Activity updates only exist on APNs: { event: 'update' | 'end',
+ * contentState, alert, staleDate, dismissalDate }.
+ */
+
+const apns = require('./apns');
+const fcm = require('./fcm');
+const sink = require('./sink');
+
+// Raw APNs device tokens are 32 bytes of hex; FCM registration tokens are not
+const APNS_TOKEN_PATTERN = /^[0-9a-f]{64}$/i;
+
+/**
+ * Pick the provider for a push token
+ * @param {object} pushToken - PushToken row ({ token, platform, bundleId })
+ * @returns {object} Provider module
+ */
+function getTransport(pushToken) {
+  if (process.env.PUSH_TRANSPORT === 'sink') {
+    return sink;
+  }
+
+  if (pushToken.platform === 'ios' && APNS_TOKEN_PATTERN.test(pushToken.token)) {
+    return apns;
+  }
+
+  return fcm;
+}
+
+/**
+ * Send a message to one push token through its provider
+ */
+async function sendPush(pushToken, message) {
+  const transport = getTransport(pushToken);
+  const result = await transport.send(pushToken, message);
+  return { ...result, provider: transport.name };
+}
+
+/**
+ * Send a Live Activity update to an activity's push token
+ * @param {object} activity - { token, bundleId }
+ * @param {object} update - Live Activity update
+ */
+async function sendLiveActivityPush(activity, update) {
+  const transport = process.env.PUSH_TRANSPORT === 'sink' ? sink : apns;
+  const result = await transport.sendLiveActivity(activity, update);
+  return { ...result, provider: transport.name };
+}
+
+module.exports = {
+  getTransport,
+  sendPush,
+  sendLiveActivityPush,
+};
@@ -0,0 +1,97 @@
+/**
+ * Local push sink for development and tests
+ *
+ * Records messages in memory (and optionally appends them as JSON lines to
+ * PUSH_SINK_FILE) instead of sending them. Tokens starting with "invalid"
+ * are reported as invalid so token deactivation can be exercised.
+ */
+
+const fs = require('fs');
+const logger = require('../../utils/logger');
+
+// Most recent messages kept in memory
+const MAX_MESSAGES = 500;
+
+const messages = [];
+
+function isConfigured() {
+  return true;
+}
+
+/**
+ * Keep a recorded message in memory and the sink file
+ */
+async function record(entry) {
+  messages.push(entry);
+  if (messages.length > MAX_MESSAGES) {
+    messages.shift();
+  }
+
+  if (process.env.PUSH_SINK_FILE) {
+    await fs.promises.appendFile(process.env.PUSH_SINK_FILE, JSON.stringify(entry) + '\n');
+  }
+}
+
+/**
+ * Record a push message
+ * @param {object} pushToken - PushToken row
+ * @param {object} message - Provider-neutral message (see push/index.js)
+ * @returns {Promise<object>} { success, invalidToken }
+ */
+async function send(pushToken, message) {
+  if (pushToken.token.startsWith('invalid')) {
+    return { success: false, invalidToken: true };
+  }
+
+  await record({
+    sentAt: new Date().toISOString(),
+    userId: pushToken.userId,
+    token: pushToken.token,
+    platform: pushToken.platform,
+    message,
+  });
+
+  logger.debug(`[PushSink] ${message.title}`);
+  return { success: true };
+}
+
+/**
+ * Record a Live Activity update
+ * @param {object} activity - { token, bundleId }
+ * @param {object} update - Live Activity update (see push/index.js)
+ * @returns {Promise<object>} { success, invalidToken }
+ */
+async function sendLiveActivity(activity, update) {
+  if (activity.token.startsWith('invalid')) {
+    return { success: false, invalidToken: true };
+  }
+
+  await record({
+    sentAt: new Date().toISOString(),
+    token: activity.token,
+    liveActivity: update,
+  });
+
+  logger.debug(`[PushSink] Live Activity ${update.event}`);
+  return { success: true };
+}
+
+/**
+ * Messages recorded so far (oldest first)
+ */
+function getMessages() {
+  return [...messages];
+}
+
+function clear() {
+  messages.length = 0;
+}
+
+module.exports = {
+  name: 'sink',
+  isConfigured,
+  send,
+  sendLiveActivity,
+  getMessages,
+  clear,
+};
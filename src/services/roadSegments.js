@@ -0,0 +1,157 @@
+/**
+ * Road Segments
+ *
+ * Resolves where a vibe was reported to a road segment and direction of
+ * travel, so clusters on opposite carriageways, or on a bridge and the road
+ * under it, stay apart. The road comes from TomTom reverse geocoding (biased
+ * by the heading) of the centre of the report's stored geohash cell, cached
+ * per cell and direction since roads rarely change.
+ */
+
+const tomtom = require('../utils/tomtom');
+const { getOrFetch } = require('../utils/cache');
+const { STORED_PRECISION, encode, decodeCenter } = require('../utils/geohash');
+const { getDistanceKm } = require('../utils/geo');
+const logger = require('../utils/logger');
+
+// Compass sectors for the direction of travel, 45 degrees each
+const DIRECTIONS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const SECTOR_DEGREES = 360 / DIRECTIONS.length;
+// Direction used when the device reported no heading
+const ANY_DIRECTION = 'any';
+// Reports in a cell whose centre is farther than this from the matched road count as off-road
+const OFF_ROAD_METERS = 150;
+// Only snap to roads used for driving
+const DRIVING_ROAD_USE = ['LimitedAccess', 'Arterial', 'Terminal', 'Ramp', 'Rotary', 'LocalStreet'];
+
+function normalizeHeading(heading) {
+  return ((heading % 360) + 360) % 360;
+}
+
+/**
+ * Sector index (0 = N) for a heading in degrees
+ */
+function getSectorIndex(heading) {
+  return Math.round(normalizeHeading(heading) / SECTOR_DEGREES) % DIRECTIONS.length;
+}
+
+/**
+ * Compass direction for a heading, or 'any' without one
+ * @param {number|null} heading - Degrees clockwise from north
+ * @returns {string}
+ */
+function getDirection(heading) {
+  if (heading === null || heading === undefined) return ANY_DIRECTION;
+  return DIRECTIONS[getSectorIndex(heading)];
+}
+
+/**
+ * Stable key for a road: its route number (E11, D89) when it has one, else its name
+ */
+function getRoadKey(address) {
+  const name = address.routeNumbers?.[0] || address.streetName;
+  if (!name) return null;
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function parsePosition(position) {
+  const [lat, lng] = String(position).split(',').map(parseFloat);
+  return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+}
+
+/**
+ * Reverse geocode the centre of a stored geohash cell (~150m) to the nearest road,
+ * cached by cell and direction
+ * @param {string} cell - Geohash of STORED_PRECISION length
+ * @param {number|null} heading
+ * @returns {Promise<object|null>} { roadKey, roadName, lat, lng } or null when no road matched
+ */
+async function lookupRoad(cell, heading) {
+  const cacheKey = `road:${cell}:${getDirection(heading)}`;
+  const { lat, lng } = decodeCenter(cell);
+
+  const { data } = await getOrFetch('roadSegments', cacheKey, async () => {
+    const response = await tomtom.get(`/search/2/reverseGeocode/${lat},${lng}.json`, {
+      params: {
+        language: 'en-US',
+        returnRoadUse: true,
+        roadUse: DRIVING_ROAD_USE.join(','),
+        ...(heading !== null && heading !== undefined && { heading: Math.round(normalizeHeading(heading)) }),
+      },
+    });
+
+    const match = response.data.addresses?.[0];
+    const roadKey = match?.address ? getRoadKey(match.address) : null;
+    if (!roadKey) return null;
+
+    return {
+      roadKey,
+      roadName: match.address.streetName || match.address.routeNumbers[0],
+      ...(parsePosition(match.position) || { lat, lng }),
+    };
+  });
+
+  return data;
+}
+
+function buildSegmentId(roadKey, geohash, direction) {
+  return `${roadKey}_${geohash}_${direction}`;
+}
+
+/**
+ * Resolve a reported position to a road segment
+ * Falls back to an unnamed segment at the raw position when no road matches.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number|null} heading - Degrees clockwise from north, if known
+ * @returns {Promise<object>} { segmentId, candidateSegmentIds, roadName, direction, lat, lng, geohash, offRoad }
+ *   offRoad is null when the lookup failed, so an outage doesn't make every report look off-road;
+ *   candidateSegmentIds lists segmentId first, then the neighbouring direction
+ *   closest to the heading, so headings near a sector boundary still join an existing cluster
+ */
+async function resolveSegment(lat, lng, heading = null) {
+  const cell = encode(lat, lng, STORED_PRECISION);
+  let road = null;
+  let lookupFailed = false;
+  try {
+    road = await lookupRoad(cell, heading);
+  } catch (error) {
+    lookupFailed = true;
+    // Not cached, so the next report here tries again
+    logger.warn('Road segment lookup failed:', { lat, lng, error: error.message });
+  }
+
+  const position = road ? { lat: road.lat, lng: road.lng } : { lat, lng };
+  const center = decodeCenter(cell);
+  const offRoad = lookupFailed
+    ? null
+    : !road || getDistanceKm(center.lat, center.lng, road.lat, road.lng) * 1000 > OFF_ROAD_METERS;
+  const roadKey = road ? road.roadKey : 'unnamed';
+  const geohash = encode(position.lat, position.lng, STORED_PRECISION);
+  const direction = getDirection(heading);
+
+  const candidateSegmentIds = [buildSegmentId(roadKey, geohash, direction)];
+  if (direction !== ANY_DIRECTION) {
+    const index = getSectorIndex(heading);
+    const offset = normalizeHeading(heading) - index * SECTOR_DEGREES;
+    // Past the sector's centre leans clockwise (headings just under 360 wrap to N and lean back)
+    const lean = offset > 0 && offset < 180 ? 1 : -1;
+    const neighbour = DIRECTIONS[(index + lean + DIRECTIONS.length) % DIRECTIONS.length];
+    candidateSegmentIds.push(buildSegmentId(roadKey, geohash, neighbour));
+  }
+
+  return {
+    segmentId: candidateSegmentIds[0],
+    candidateSegmentIds,
+    roadName: road ? road.roadName : null,
+    direction,
+    lat: position.lat,
+    lng: position.lng,
+    geohash,
+    offRoad,
+  };
+}
+
+module.exports = {
+  resolveSegment,
+};
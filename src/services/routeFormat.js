@@ -0,0 +1,153 @@
+/**
+ * Route Response Schema
+ *
+ * Provider-independent shape for routes returned by /api/routing/route.
+ * The app codes against this schema rather than TomTom's field names, so
+ * the provider can change without breaking clients. Bump
+ * ROUTE_SCHEMA_VERSION on any breaking change to the shapes below.
+ *
+ * The raw TomTom response is still available with ?raw=true.
+ */
+
+const { encodePolyline, getRoutePoints } = require('../utils/geo');
+
+const ROUTE_SCHEMA_VERSION = 1;
+
+// TomTom guidance languages for our app languages
+const GUIDANCE_LANGUAGES = { en: 'en-GB', ar: 'ar' };
+
+// TomTom magnitudeOfDelay codes
+const DELAY_MAGNITUDES = ['unknown', 'minor', 'moderate', 'major', 'undefined'];
+
+/**
+ * @typedef {object} RouteSummary
+ * @property {number} lengthMeters
+ * @property {number} travelTimeSeconds - With current (or predicted) traffic
+ * @property {number} delaySeconds - Traffic delay included in travelTimeSeconds
+ * @property {number|null} noTrafficTravelTimeSeconds - Free-flow travel time
+ * @property {number|null} historicTravelTimeSeconds - Typical travel time at this hour
+ * @property {string} departureTime - ISO 8601
+ * @property {string} arrivalTime - ISO 8601
+ */
+
+/**
+ * @typedef {object} RouteLeg
+ * @property {RouteSummary} summary
+ * @property {string} polyline - Encoded polyline (precision 5) of this leg
+ */
+
+/**
+ * @typedef {object} TrafficSection
+ * @property {number} startPointIndex - Index into the decoded route polyline
+ * @property {number} endPointIndex
+ * @property {string} category - jam, road_work, road_closure or other
+ * @property {string} magnitude - unknown, minor, moderate, major or undefined
+ * @property {number} delaySeconds
+ * @property {number|null} speedKmh - Effective speed through the section
+ */
+
+/**
+ * @typedef {object} GuidanceInstruction
+ * @property {number} pointIndex - Index into the decoded route polyline
+ * @property {number} routeOffsetMeters - Distance from the start of the route
+ * @property {number} travelTimeSeconds - Time from the start of the route
+ * @property {string} maneuver - e.g. TURN_LEFT, TAKE_EXIT, ARRIVE
+ * @property {string|null} message - Spoken/displayed text in the requested language
+ * @property {string|null} street
+ * @property {Array<string>} roadNumbers
+ * @property {string|null} exitNumber
+ * @property {string|null} signpostText
+ */
+
+/**
+ * @typedef {object} Route
+ * @property {RouteSummary} summary
+ * @property {string} polyline - Encoded polyline (precision 5) of the whole route
+ * @property {Array<RouteLeg>} legs
+ * @property {Array<TrafficSection>} trafficSections
+ * @property {Array<GuidanceInstruction>} guidance
+ * @property {object} tolls - From services/tolls estimateRouteTolls
+ * @property {object|null} community - From services/communityRisk getCommunityContext
+ */
+
+/**
+ * TomTom language code for guidance messages
+ * @param {object} preferences - UserPreferences row (language)
+ */
+function getGuidanceLanguage(preferences) {
+  return GUIDANCE_LANGUAGES[preferences?.language] || GUIDANCE_LANGUAGES.en;
+}
+
+/**
+ * @returns {RouteSummary}
+ */
+function formatSummary(summary) {
+  return {
+    lengthMeters: summary.lengthInMeters,
+    travelTimeSeconds: summary.travelTimeInSeconds,
+    delaySeconds: summary.trafficDelayInSeconds || 0,
+    noTrafficTravelTimeSeconds: summary.noTrafficTravelTimeInSeconds ?? null,
+    historicTravelTimeSeconds: summary.historicTrafficTravelTimeInSeconds ?? null,
+    departureTime: summary.departureTime,
+    arrivalTime: summary.arrivalTime,
+  };
+}
+
+/**
+ * @returns {TrafficSection}
+ */
+function formatTrafficSection(section) {
+  return {
+    startPointIndex: section.startPointIndex,
+    endPointIndex: section.endPointIndex,
+    category: (section.simpleCategory || 'OTHER').toLowerCase(),
+    magnitude: DELAY_MAGNITUDES[section.magnitudeOfDelay] || 'unknown',
+    delaySeconds: section.delayInSeconds || 0,
+    speedKmh: section.effectiveSpeedInKmh ?? null,
+  };
+}
+
+/**
+ * @returns {GuidanceInstruction}
+ */
+function formatInstruction(instruction) {
+  return {
+    pointIndex: instruction.pointIndex,
+    routeOffsetMeters: instruction.routeOffsetInMeters,
+    travelTimeSeconds: instruction.travelTimeInSeconds,
+    maneuver: instruction.maneuver,
+    message: instruction.message || null,
+    street: instruction.street || null,
+    roadNumbers: instruction.roadNumbers || [],
+    exitNumber: instruction.exitNumber || null,
+    signpostText: instruction.signpostText || null,
+  };
+}
+
+/**
+ * Convert a TomTom route (with tolls and community attached) to the route schema
+ * @param {object} route - Route from a calculateRoute response
+ * @returns {Route}
+ */
+function formatRoute(route) {
+  return {
+    summary: formatSummary(route.summary),
+    polyline: encodePolyline(getRoutePoints(route)),
+    legs: (route.legs || []).map((leg) => ({
+      summary: formatSummary(leg.summary),
+      polyline: encodePolyline((leg.points || []).map((p) => ({ lat: p.latitude, lng: p.longitude }))),
+    })),
+    trafficSections: (route.sections || [])
+      .filter((section) => section.sectionType === 'TRAFFIC')
+      .map(formatTrafficSection),
+    guidance: (route.guidance?.instructions || []).map(formatInstruction),
+    tolls: route.tolls,
+    community: route.community ?? null,
+  };
+}
+
+module.exports = {
+  ROUTE_SCHEMA_VERSION,
+  getGuidanceLanguage,
+  formatRoute,
+};
@@ -0,0 +1,389 @@
+const tomtom = require('../utils/tomtom');
+const { getOrFetch } = require('../utils/cache');
+const { estimateRouteTolls } = require('./tolls');
+const { getRoutePoints } = require('../utils/geo');
+
+// Max vertices kept per cached route geometry
+const MAX_GEOMETRY_POINTS = 500;
+
+// Arrive-by search: coarse pass around the first estimate, then a finer pass
+const ARRIVE_BY_COARSE_STEP_MINUTES = 15;
+const ARRIVE_BY_FINE_STEP_MINUTES = 5;
+// Safety margin on top of the latest departure: a share of the trip plus how much
+// travel times swing around that time, within these bounds
+const ARRIVE_BY_MARGIN_SHARE = 0.1;
+const ARRIVE_BY_MIN_MARGIN_MINUTES = 5;
+const ARRIVE_BY_MAX_MARGIN_MINUTES = 30;
+
+// Route types users can pick (UserPreferences.preferredRouteType)
+const ROUTE_TYPES = ['fastest', 'shortest', 'eco'];
+
+const DEFAULT_ROUTE_OPTIONS = {
+  routeType: 'fastest',
+  avoidTolls: false,
+  avoidHighways: false,
+};
+
+/**
+ * Work out the route options for a request
+ * Per-request overrides win over the user's stored preferences, which win over the defaults
+ * @param {object} preferences - UserPreferences row (null for anonymous requests)
+ * @param {object} overrides - { routeType, avoidTolls, avoidHighways }, undefined values are ignored
+ * @returns {object} { routeType, avoidTolls, avoidHighways }
+ */
+function resolveRouteOptions(preferences, overrides = {}) {
+  const pick = (override, stored, fallback) => override ?? stored ?? fallback;
+
+  const routeType = pick(overrides.routeType, preferences?.preferredRouteType, DEFAULT_ROUTE_OPTIONS.routeType);
+
+  return {
+    routeType: ROUTE_TYPES.includes(routeType) ? routeType : DEFAULT_ROUTE_OPTIONS.routeType,
+    avoidTolls: pick(overrides.avoidTolls, preferences?.avoidTolls, DEFAULT_ROUTE_OPTIONS.avoidTolls),
+    avoidHighways: pick(overrides.avoidHighways, preferences?.avoidHighways, DEFAULT_ROUTE_OPTIONS.avoidHighways),
+  };
+}
+
+/**
+ * TomTom calculateRoute params for a set of route options
+ */
+function getRouteParams(routeOptions) {
+  const avoid = [];
+  if (routeOptions.avoidTolls) avoid.push('tollRoads');
+  if (routeOptions.avoidHighways) avoid.push('motorways');
+
+  return {
+    routeType: routeOptions.routeType,
+    ...(avoid.length > 0 && { avoid }),
+  };
+}
+
+/**
+ * Cache key fragment for a set of route options
+ */
+function getRouteOptionsKey(routeOptions) {
+  return [
+    routeOptions.routeType,
+    routeOptions.avoidTolls ? 'notolls' : 'tolls',
+    routeOptions.avoidHighways ? 'nohighways' : 'highways',
+  ].join(':');
+}
+
+/**
+ * Calculate the fastest traffic-aware route and return its summary
+ * @param {object} origin - { lat, lng }
+ * @param {object} destination - { lat, lng }
+ * @param {object} options - Route options
+ * @param {Date|string} options.departAt - Optional departure time (defaults to now)
+ * @param {object} options.routeOptions - Optional, from resolveRouteOptions (defaults to fastest)
+ * @returns {Promise<object>} Route summary
+ */
+async function getRouteSummary(origin, destination, options = {}) {
+  const params = {
+    ...getRouteParams(options.routeOptions || DEFAULT_ROUTE_OPTIONS),
+    traffic: true,
+    travelMode: 'car',
+    computeTravelTimeFor: 'all',
+  };
+
+  if (options.departAt) {
+    params.departAt = new Date(options.departAt).toISOString();
+  }
+
+  const response = await tomtom.get(
+    `/routing/1/calculateRoute/${origin.lat},${origin.lng}:${destination.lat},${destination.lng}/json`,
+    { params }
+  );
+
+  const summary = response.data.routes?.[0]?.summary;
+  if (!summary) {
+    throw new Error('No route found');
+  }
+
+  return {
+    travelTimeSeconds: summary.travelTimeInSeconds,
+    noTrafficTravelTimeSeconds: summary.noTrafficTravelTimeInSeconds,
+    delaySeconds: summary.trafficDelayInSeconds || 0,
+    lengthMeters: summary.lengthInMeters,
+    departureTime: summary.departureTime,
+    arrivalTime: summary.arrivalTime,
+  };
+}
+
+/**
+ * Calculate routes at several departure times in parallel and pick the fastest
+ * Used by POST /api/routing/batch and the commute reminder generator
+ * @param {object} origin - { lat, lng }
+ * @param {object} destination - { lat, lng }
+ * @param {Array<Date|string>} departureTimes - Departure times to compare
+ * @param {object} options - { routeOptions } passed to getRouteSummary
+ * @returns {Promise<object>} { results, best } - failed times carry an error instead of a summary
+ */
+async function compareDepartureTimes(origin, destination, departureTimes, options = {}) {
+  const results = await Promise.all(
+    departureTimes.map(async (departAt) => {
+      try {
+        const summary = await getRouteSummary(origin, destination, { departAt, routeOptions: options.routeOptions });
+        return {
+          departureTime: departAt,
+          travelTimeSeconds: summary.travelTimeSeconds,
+          delaySeconds: summary.delaySeconds,
+          lengthMeters: summary.lengthMeters,
+          arrivalTime: summary.arrivalTime,
+        };
+      } catch (error) {
+        return {
+          departureTime: departAt,
+          error: error.message,
+        };
+      }
+    })
+  );
+
+  const validResults = results.filter((r) => r.travelTimeSeconds);
+  const best = validResults.reduce(
+    (min, r) => (r.travelTimeSeconds < min.travelTimeSeconds ? r : min),
+    validResults[0]
+  );
+
+  return { results, best };
+}
+
+/**
+ * Plan the latest safe departure to arrive by a target time
+ * Searches departure times coarse-to-fine with predictive traffic, then adds a
+ * safety margin for how uncertain the trip is around that time.
+ * @param {object} origin - { lat, lng }
+ * @param {object} destination - { lat, lng }
+ * @param {Date|string} arriveBy - Target arrival time
+ * @param {object} options - { routeOptions, now }
+ * @returns {Promise<object>} Plan - see the fields returned below
+ */
+async function planArriveBy(origin, destination, arriveBy, options = {}) {
+  const target = new Date(arriveBy);
+  const now = options.now || new Date();
+  const minute = 60 * 1000;
+  const arrivesInTime = (r) => new Date(r.departureTime).getTime() + r.travelTimeSeconds * 1000 <= target.getTime();
+  const tried = [];
+
+  const compare = async (times) => {
+    const usable = times.filter((t) => t >= now && t < target && !tried.some((r) => r.departureTime.getTime() === t.getTime()));
+    const { results } = await compareDepartureTimes(origin, destination, usable, options);
+    const valid = results.filter((r) => r.travelTimeSeconds);
+    tried.push(...valid);
+    return valid;
+  };
+
+  // First estimate from the travel time a little before the target
+  const first = await getRouteSummary(origin, destination, {
+    departAt: new Date(Math.max(now.getTime(), target.getTime() - 30 * minute)),
+    routeOptions: options.routeOptions,
+  });
+  const estimate = Math.floor((target.getTime() - first.travelTimeSeconds * 1000) / minute) * minute;
+
+  // Coarse pass: a few steps either side of the estimate, plus leaving right now
+  const coarseStep = ARRIVE_BY_COARSE_STEP_MINUTES * minute;
+  await compare([
+    now,
+    ...[-3, -2, -1, 0, 1, 2].map((k) => new Date(estimate + k * coarseStep)),
+  ]);
+
+  let best = tried.filter(arrivesInTime).sort((a, b) => b.departureTime - a.departureTime)[0];
+
+  // Fine pass: between the latest departure that works and the next coarse step
+  if (best) {
+    const fineStep = ARRIVE_BY_FINE_STEP_MINUTES * minute;
+    const fineTimes = [];
+    for (let t = best.departureTime.getTime() + fineStep; t < best.departureTime.getTime() + coarseStep; t += fineStep) {
+      fineTimes.push(new Date(t));
+    }
+    await compare(fineTimes);
+    best = tried.filter(arrivesInTime).sort((a, b) => b.departureTime - a.departureTime)[0];
+  }
+
+  if (!best) {
+    // Even leaving now arrives late
+    const leavingNow = tried.find((r) => r.departureTime.getTime() === now.getTime());
+    const travelTimeSeconds = leavingNow?.travelTimeSeconds ?? first.travelTimeSeconds;
+    const expectedArrival = new Date(now.getTime() + travelTimeSeconds * 1000);
+
+    return {
+      arriveBy: target,
+      onTime: false,
+      latestDeparture: null,
+      recommendedDeparture: now,
+      leaveNow: true,
+      expectedArrival,
+      lateByMinutes: Math.ceil((expectedArrival - target) / minute),
+      travelTimeSeconds,
+      delaySeconds: leavingNow?.delaySeconds ?? first.delaySeconds,
+      buffer: null,
+      confidence: 'low',
+    };
+  }
+
+  // How much travel times swing within half an hour of the chosen departure
+  const nearby = tried.filter((r) => Math.abs(r.departureTime - best.departureTime) <= 30 * minute);
+  const travelTimes = nearby.map((r) => r.travelTimeSeconds);
+  const variabilityMinutes = Math.round((Math.max(...travelTimes) - Math.min(...travelTimes)) / 60);
+  const travelMinutes = Math.round(best.travelTimeSeconds / 60);
+  const shareMinutes = Math.ceil(travelMinutes * ARRIVE_BY_MARGIN_SHARE);
+
+  const marginMinutes = Math.min(
+    ARRIVE_BY_MAX_MARGIN_MINUTES,
+    Math.max(ARRIVE_BY_MIN_MARGIN_MINUTES, shareMinutes + variabilityMinutes)
+  );
+
+  const recommended = new Date(Math.max(now.getTime(), best.departureTime.getTime() - marginMinutes * minute));
+
+  return {
+    arriveBy: target,
+    onTime: true,
+    latestDeparture: best.departureTime,
+    recommendedDeparture: recommended,
+    leaveNow: recommended.getTime() === now.getTime(),
+    expectedArrival: new Date(best.departureTime.getTime() + best.travelTimeSeconds * 1000),
+    travelTimeSeconds: best.travelTimeSeconds,
+    delaySeconds: best.delaySeconds,
+    buffer: {
+      minutes: marginMinutes,
+      tripShareMinutes: shareMinutes,
+      variabilityMinutes,
+      explanation: `Leave ${marginMinutes} min before the latest departure: ` +
+        `${shareMinutes} min for a ${travelMinutes} min trip` +
+        (variabilityMinutes > 0 ? ` plus ${variabilityMinutes} min because travel times vary around then` : '') +
+        (marginMinutes !== shareMinutes + variabilityMinutes ? ` (kept between ${ARRIVE_BY_MIN_MARGIN_MINUTES} and ${ARRIVE_BY_MAX_MARGIN_MINUTES} min)` : '') +
+        '.',
+    },
+    confidence: variabilityMinutes <= 3 ? 'high' : variabilityMinutes <= 10 ? 'medium' : 'low',
+  };
+}
+
+/**
+ * Calculate one route through several stops, optionally reordering the stops in between
+ * @param {Array<object>} stops - Ordered stops [{ lat, lng, ... }], first is the start, last the end
+ * @param {object} options
+ * @param {boolean} options.optimize - Reorder intermediate stops to shorten the total distance
+ *   (TomTom's computeBestOrder heuristic, which doesn't account for traffic)
+ * @param {Date|string} options.departAt - Optional departure time (defaults to now)
+ * @param {object} options.routeOptions - From resolveRouteOptions
+ * @returns {Promise<object>} { order, summary, legs, tolls } - order lists indexes into stops as driven
+ */
+async function getMultiStopRoute(stops, options = {}) {
+  const params = {
+    ...getRouteParams(options.routeOptions || DEFAULT_ROUTE_OPTIONS),
+    traffic: true,
+    travelMode: 'car',
+    computeTravelTimeFor: 'all',
+  };
+
+  if (options.optimize && stops.length > 3) {
+    params.computeBestOrder = true;
+  }
+  if (options.departAt) {
+    params.departAt = new Date(options.departAt).toISOString();
+  }
+
+  const locations = stops.map((stop) => `${stop.lat},${stop.lng}`).join(':');
+  const response = await tomtom.get(`/routing/1/calculateRoute/${locations}/json`, { params });
+
+  const route = response.data.routes?.[0];
+  if (!route) {
+    throw new Error('No route found');
+  }
+
+  // TomTom reports the new position of each intermediate stop (indexes exclude the start and end)
+  const order = stops.map((_, i) => i);
+  for (const { providedIndex, optimizedIndex } of response.data.optimizedWaypoints || []) {
+    order[optimizedIndex + 1] = providedIndex + 1;
+  }
+
+  const legs = route.legs.map((leg, i) => ({
+    fromIndex: order[i],
+    toIndex: order[i + 1],
+    travelTimeSeconds: leg.summary.travelTimeInSeconds,
+    delaySeconds: leg.summary.trafficDelayInSeconds || 0,
+    lengthMeters: leg.summary.lengthInMeters,
+    departureTime: leg.summary.departureTime,
+    arrivalTime: leg.summary.arrivalTime,
+    points: (leg.points || []).map((p) => ({ lat: p.latitude, lng: p.longitude })),
+  }));
+
+  return {
+    order,
+    summary: {
+      travelTimeSeconds: route.summary.travelTimeInSeconds,
+      noTrafficTravelTimeSeconds: route.summary.noTrafficTravelTimeInSeconds,
+      delaySeconds: route.summary.trafficDelayInSeconds || 0,
+      lengthMeters: route.summary.lengthInMeters,
+      departureTime: route.summary.departureTime,
+      arrivalTime: route.summary.arrivalTime,
+    },
+    legs,
+    tolls: estimateRouteTolls(route),
+  };
+}
+
+/**
+ * Get the path of the fastest route between two points
+ * Cached for hours, so it suits corridor checks rather than live navigation
+ * @param {object} origin - { lat, lng }
+ * @param {object} destination - { lat, lng }
+ * @returns {Promise<Array<object>>} Route vertices [{ lat, lng }]
+ */
+async function getRouteGeometry(origin, destination) {
+  // Round to ~100m so nearby requests share a cache entry
+  const key = [origin.lat, origin.lng, destination.lat, destination.lng]
+    .map((v) => parseFloat(v).toFixed(3))
+    .join(':');
+
+  const { data } = await getOrFetch('routeGeometry', `geometry:${key}`, async () => {
+    const response = await tomtom.get(
+      `/routing/1/calculateRoute/${origin.lat},${origin.lng}:${destination.lat},${destination.lng}/json`,
+      {
+        params: {
+          routeType: 'fastest',
+          traffic: false,
+          travelMode: 'car',
+        },
+      }
+    );
+
+    const points = getRoutePoints(response.data.routes?.[0]);
+
+    // Thin out long routes to keep the cache small
+    const step = Math.ceil(points.length / MAX_GEOMETRY_POINTS) || 1;
+    return points.filter((_, i) => i % step === 0 || i === points.length - 1);
+  });
+
+  return data;
+}
+
+/**
+ * Classify traffic on a route by how much slower it is than free flow
+ * @param {object} summary - Route summary from getRouteSummary
+ * @returns {string} free, light, moderate, heavy or severe
+ */
+function getTrafficStatus(summary) {
+  const baseline = summary.noTrafficTravelTimeSeconds || summary.travelTimeSeconds - summary.delaySeconds;
+  if (!baseline) return 'free';
+
+  const ratio = summary.travelTimeSeconds / baseline;
+  if (ratio < 1.1) return 'free';
+  if (ratio < 1.3) return 'light';
+  if (ratio < 1.6) return 'moderate';
+  if (ratio < 2) return 'heavy';
+  return 'severe';
+}
+
+module.exports = {
+  ROUTE_TYPES,
+  resolveRouteOptions,
+  getRouteParams,
+  getRouteOptionsKey,
+  getRouteSummary,
+  compareDepartureTimes,
+  planArriveBy,
+  getMultiStopRoute,
+  getRouteGeometry,
+  getTrafficStatus,
+};
@@ -0,0 +1,84 @@
+/**
+ * Salik Tolls
+ *
+ * Finds the Salik gates a route passes through and estimates the toll cost
+ * for a departure time. Used for route responses, the chat route tool and
+ * toll spend in trip statistics.
+ */
+
+const { SALIK_GATES, SALIK_PRICING } = require('../config/salikGates');
+const { distanceToPolylineMeters, isWithinBounds, getRoutePoints } = require('../utils/geo');
+const { getLocalParts } = require('../utils/time');
+
+// A route passing this close to a gate goes through it (gate positions are approximate)
+const GATE_RADIUS_METERS = 100;
+
+/**
+ * Salik rate at a moment in time
+ * @param {Date|string} date - Time the gate is passed
+ * @returns {object} { period: peak | off_peak | free, priceAed }
+ */
+function getSalikRate(date) {
+  const { hour, weekday } = getLocalParts(new Date(date), 'Asia/Dubai');
+  const [freeFrom, freeTo] = SALIK_PRICING.freeHours;
+
+  if (hour >= freeFrom && hour < freeTo) {
+    return { period: 'free', priceAed: SALIK_PRICING.free };
+  }
+
+  const isPeak = weekday !== 0 && SALIK_PRICING.peakHours.some(([from, to]) => hour >= from && hour < to);
+  return isPeak
+    ? { period: 'peak', priceAed: SALIK_PRICING.peak }
+    : { period: 'off_peak', priceAed: SALIK_PRICING.offPeak };
+}
+
+/**
+ * Salik gates a route passes through
+ * @param {Array<object>} points - Route polyline [{ lat, lng }]
+ * @returns {Array<object>} Gates from SALIK_GATES
+ */
+function findGatesOnRoute(points) {
+  if (!points || points.length === 0) return [];
+
+  return SALIK_GATES.filter(
+    (gate) =>
+      isWithinBounds(gate, points, GATE_RADIUS_METERS / 1000) &&
+      distanceToPolylineMeters(gate, points) <= GATE_RADIUS_METERS
+  );
+}
+
+/**
+ * Estimate Salik tolls for a route
+ * All gates are priced at the departure time, which is close enough for city trips
+ * @param {Array<object>} points - Route polyline [{ lat, lng }]
+ * @param {Date|string} departureTime - Departure time (defaults to now)
+ * @returns {object} { gateCount, gates, estimatedCostAed, pricingPeriod }
+ */
+function estimateTolls(points, departureTime = new Date()) {
+  const gates = findGatesOnRoute(points);
+  const rate = getSalikRate(departureTime);
+
+  // Gates sharing a charge group are only charged once
+  const charged = new Set(gates.map((gate) => gate.chargeGroup || gate.id));
+
+  return {
+    gateCount: gates.length,
+    gates: gates.map((gate) => ({ id: gate.id, name: gate.name, road: gate.road })),
+    estimatedCostAed: charged.size * rate.priceAed,
+    pricingPeriod: rate.period,
+  };
+}
+
+/**
+ * Estimate tolls for a TomTom calculateRoute route object
+ */
+function estimateRouteTolls(route) {
+  return estimateTolls(getRoutePoints(route), route.summary?.departureTime);
+}
+
+module.exports = {
+  getSalikRate,
+  findGatesOnRoute,
+  estimateTolls,
+  estimateRouteTolls,
+};
@@ -0,0 +1,89 @@
+/**
+ * TomTom Incidents
+ *
+ * Live TomTom traffic incidents for an area, normalised to a point with our
+ * incident type and severity so they can be matched against routes like
+ * community incidents.
+ */
+
+const tomtom = require('../utils/tomtom');
+const { getOrFetch } = require('../utils/cache');
+
+// TomTom iconCategory -> our incident types
+const CATEGORY_TYPES = {
+  1: 'accident',
+  3: 'hazard',
+  6: 'congestion',
+  7: 'roadwork',
+  8: 'hazard',
+  9: 'roadwork',
+  11: 'hazard',
+  14: 'hazard',
+};
+
+// TomTom magnitudeOfDelay -> our severities
+// 4 is "undefined" (often a closure); with no measured delay it isn't treated as major
+const MAGNITUDE_SEVERITIES = {
+  1: 'minor',
+  2: 'moderate',
+  3: 'major',
+  4: 'moderate',
+};
+
+/**
+ * Representative point of a TomTom incident geometry (midpoint for line strings)
+ */
+function getIncidentPoint(geometry) {
+  if (!geometry) return null;
+
+  if (geometry.type === 'Point') {
+    return { lat: geometry.coordinates[1], lng: geometry.coordinates[0] };
+  }
+  if (geometry.type === 'LineString' && geometry.coordinates.length > 0) {
+    const mid = geometry.coordinates[Math.floor(geometry.coordinates.length / 2)];
+    return { lat: mid[1], lng: mid[0] };
+  }
+  return null;
+}
+
+/**
+ * Live incidents in a bounding box
+ * @param {string} bbox - minLng,minLat,maxLng,maxLat
+ * @returns {Promise<Array<object>>} [{ key, type, severity, magnitude, roadName, lat, lng }]
+ *   key is "tomtom:<id>"; incidents without an id or a usable geometry are left out
+ */
+async function getTomTomIncidents(bbox) {
+  const { data } = await getOrFetch('incidents', `bbox:${bbox}`, async () => {
+    const response = await tomtom.get('/traffic/services/5/incidentDetails', {
+      params: {
+        bbox,
+        fields: '{incidents{type,geometry{type,coordinates},properties{id,iconCategory,magnitudeOfDelay,from,to,roadNumbers}}}',
+        language: 'en-GB',
+        categoryFilter: '0,1,2,3,4,5,6,7,8,9,10,11,14',
+        timeValidityFilter: 'present',
+      },
+    });
+    return response.data;
+  });
+
+  const incidents = [];
+  for (const inc of data.incidents || []) {
+    const point = getIncidentPoint(inc.geometry);
+    if (!inc.properties?.id || !point) continue;
+
+    incidents.push({
+      key: `tomtom:${inc.properties.id}`,
+      type: CATEGORY_TYPES[inc.properties.iconCategory] || 'other',
+      severity: MAGNITUDE_SEVERITIES[inc.properties.magnitudeOfDelay] || 'minor',
+      magnitude: inc.properties.magnitudeOfDelay || 0,
+      roadName: inc.properties.roadNumbers?.[0] || inc.properties.from || null,
+      lat: point.lat,
+      lng: point.lng,
+    });
+  }
+  return incidents;
+}
+
+module.exports = {
+  getTomTomIncidents,
+};
@@ -0,0 +1,184 @@
+/**
+ * Travel Times
+ *
+ * Learns typical trip durations from recorded trips, per origin/destination
+ * grid cell pair, local weekday and 30-minute time-of-day bucket. Used to
+ * fill in typicalDuration and timeSavedSeconds on new trips and to compare
+ * a commute's usual duration with live traffic.
+ */
+
+const prisma = require('../utils/prisma');
+const { DEFAULT_TIMEZONE, getLocalParts } = require('../utils/time');
+
+// Grid size in degrees (~1.1km), coarse enough that the same commute lands in the same cells
+const CELL_SIZE_DEGREES = 0.01;
+const BUCKET_MINUTES = 30;
+
+// Fewer trips than this in a slot is not a pattern yet
+const MIN_SAMPLES = 3;
+
+// Trips outside this range are not regular drives (GPS glitches, all-day recordings)
+const MIN_DURATION_SECONDS = 60;
+const MAX_DURATION_SECONDS = 4 * 60 * 60;
+// A trip this many times the usual duration probably had a stop on the way
+const OUTLIER_FACTOR = 3;
+
+// UAE weekend (0 = Sunday)
+const WEEKEND_DAYS = [0, 6];
+
+/**
+ * Grid cell id for a coordinate
+ */
+function getCell(lat, lng) {
+  const row = Math.round(lat / CELL_SIZE_DEGREES);
+  const col = Math.round(lng / CELL_SIZE_DEGREES);
+  return `${row}:${col}`;
+}
+
+/**
+ * Slot key for a trip: cell pair, local weekday and time bucket
+ * @param {object} origin - { lat, lng }
+ * @param {object} destination - { lat, lng }
+ * @param {Date} departureTime
+ * @param {string} timeZone - IANA timezone the trip was driven in
+ * @returns {object} { originCell, destinationCell, weekday, timeBucket }
+ */
+function getSlot(origin, destination, departureTime, timeZone = DEFAULT_TIMEZONE) {
+  const { weekday, hour, minute } = getLocalParts(new Date(departureTime), timeZone);
+
+  return {
+    originCell: getCell(origin.lat, origin.lng),
+    destinationCell: getCell(destination.lat, destination.lng),
+    weekday,
+    timeBucket: Math.floor((hour * 60 + minute) / BUCKET_MINUTES),
+  };
+}
+
+/**
+ * Mean and spread of a set of aggregated trips
+ * @returns {object|null} { durationSeconds, spreadSeconds, sampleCount }
+ */
+function summarize(stats) {
+  const count = stats.reduce((sum, s) => sum + s.tripCount, 0);
+  if (count === 0) return null;
+
+  const total = stats.reduce((sum, s) => sum + s.totalSeconds, 0);
+  const totalSquared = stats.reduce((sum, s) => sum + s.totalSquaredSeconds, 0);
+  const mean = total / count;
+
+  return {
+    durationSeconds: Math.round(mean),
+    spreadSeconds: Math.round(Math.sqrt(Math.max(0, totalSquared / count - mean * mean))),
+    sampleCount: count,
+  };
+}
+
+/**
+ * Whether a trip should count towards a slot's typical duration
+ * @param {object|null} stat - Current TravelTimeStat for the slot
+ * @param {object} slot - From getSlot
+ * @param {number} durationSeconds
+ */
+function isRecordable(stat, slot, durationSeconds) {
+  if (slot.originCell === slot.destinationCell) return false;
+  if (durationSeconds < MIN_DURATION_SECONDS || durationSeconds > MAX_DURATION_SECONDS) return false;
+
+  if (stat && stat.tripCount >= MIN_SAMPLES) {
+    const mean = stat.totalSeconds / stat.tripCount;
+    if (durationSeconds > mean * OUTLIER_FACTOR) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Typical duration of a trip, from the exact slot or, with too few trips there,
+ * the same and neighbouring time buckets on similar days (weekdays or weekend)
+ * @param {object} origin - { lat, lng }
+ * @param {object} destination - { lat, lng }
+ * @param {Date} departureTime
+ * @param {string} timeZone - IANA timezone
+ * @returns {Promise<object|null>} { durationSeconds, spreadSeconds, sampleCount, basis } or null if unknown
+ */
+async function getTypicalDuration(origin, destination, departureTime, timeZone = DEFAULT_TIMEZONE) {
+  const slot = getSlot(origin, destination, departureTime, timeZone);
+
+  const stats = await prisma.travelTimeStat.findMany({
+    where: {
+      originCell: slot.originCell,
+      destinationCell: slot.destinationCell,
+    },
+  });
+
+  const exact = summarize(stats.filter((s) => s.weekday === slot.weekday && s.timeBucket === slot.timeBucket));
+  if (exact && exact.sampleCount >= MIN_SAMPLES) {
+    return { ...exact, basis: 'same_day_and_time' };
+  }
+
+  const isWeekend = WEEKEND_DAYS.includes(slot.weekday);
+  const similar = summarize(stats.filter((s) =>
+    WEEKEND_DAYS.includes(s.weekday) === isWeekend &&
+    Math.abs(s.timeBucket - slot.timeBucket) <= 1
+  ));
+  if (similar && similar.sampleCount >= MIN_SAMPLES) {
+    return { ...similar, basis: isWeekend ? 'weekends_around_this_time' : 'weekdays_around_this_time' };
+  }
+
+  return null;
+}
+
+/**
+ * Add a recorded trip to the model
+ * @param {object} trip - Trip row
+ * @param {string} timeZone - IANA timezone of the user
+ * @returns {Promise<boolean>} Whether the trip was counted
+ */
+async function recordTrip(trip, timeZone = DEFAULT_TIMEZONE) {
+  const slot = getSlot(
+    { lat: trip.originLat, lng: trip.originLng },
+    { lat: trip.destinationLat, lng: trip.destinationLng },
+    trip.departureTime,
+    timeZone
+  );
+  const key = { originCell_destinationCell_weekday_timeBucket: slot };
+
+  const stat = await prisma.travelTimeStat.findUnique({ where: key });
+  if (!isRecordable(stat, slot, trip.durationSeconds)) {
+    return false;
+  }
+
+  const increment = {
+    tripCount: { increment: 1 },
+    totalSeconds: { increment: trip.durationSeconds },
+    totalSquaredSeconds: { increment: trip.durationSeconds * trip.durationSeconds },
+  };
+
+  if (stat) {
+    await prisma.travelTimeStat.update({ where: key, data: increment });
+    return true;
+  }
+
+  try {
+    await prisma.travelTimeStat.create({
+      data: {
+        ...slot,
+        tripCount: 1,
+        totalSeconds: trip.durationSeconds,
+        totalSquaredSeconds: trip.durationSeconds * trip.durationSeconds,
+      },
+    });
+  } catch (error) {
+    // Another trip created the slot first
+    if (error.code !== 'P2002') throw error;
+    await prisma.travelTimeStat.update({ where: key, data: increment });
+  }
+
+  return true;
+}
+
+module.exports = {
+  getSlot,
+  isRecordable,
+  getTypicalDuration,
+  recordTrip,
+};
@@ -0,0 +1,240 @@
+/**
+ * Trip Analytics
+ *
+ * Statistics over a user's trips in a date range: totals, breakdowns by
+ * weekday, hour of departure and destination, week-over-week trends and the
+ * distribution of traffic delays. Everything is aggregated in PostgreSQL;
+ * weekdays, hours and weeks are in the user's local time.
+ */
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../utils/prisma');
+const { DEFAULT_TIMEZONE, addDays, getWeekStart } = require('../utils/time');
+
+// A trip ends at a saved place when it is this close (same tolerance as visit counting)
+const PLACE_TOLERANCE_DEGREES = 0.001;
+const MAX_DESTINATIONS = 10;
+const DELAY_PERCENTILES = [0.5, 0.75, 0.9, 0.95];
+
+function toMinutes(seconds) {
+  return seconds === null || seconds === undefined ? null : Math.round(seconds / 60);
+}
+
+function roundOrNull(value) {
+  return value === null || value === undefined ? null : Math.round(value);
+}
+
+/**
+ * Shared per-group averages
+ */
+function formatGroup(row) {
+  return {
+    trips: row.trips,
+    averageDurationMinutes: toMinutes(row.avgDuration),
+    averageDelayMinutes: toMinutes(row.avgDelay),
+    averageTripScore: roundOrNull(row.avgScore),
+  };
+}
+
+async function getTotals(where) {
+  const totals = await prisma.trip.aggregate({
+    where,
+    _count: { _all: true },
+    _sum: {
+      distanceMeters: true,
+      durationSeconds: true,
+      delaySeconds: true,
+      timeSavedSeconds: true,
+      salikGateCount: true,
+      salikCostAed: true,
+    },
+    // _avg ignores trips without a score and is null when none has one
+    _avg: { tripScore: true },
+  });
+
+  const totalTrips = totals._count._all;
+  const totalDistance = totals._sum.distanceMeters || 0;
+  const totalDuration = totals._sum.durationSeconds || 0;
+
+  return {
+    totalTrips,
+    totalDistanceKm: Math.round(totalDistance / 1000),
+    totalDurationMinutes: Math.round(totalDuration / 60),
+    totalDelayMinutes: Math.round((totals._sum.delaySeconds || 0) / 60),
+    totalTimeSavedMinutes: Math.round((totals._sum.timeSavedSeconds || 0) / 60),
+    averageTripScore: roundOrNull(totals._avg.tripScore),
+    averageTripDistanceKm: totalTrips > 0 ? Math.round(totalDistance / totalTrips / 1000) : 0,
+    averageTripDurationMinutes: totalTrips > 0 ? Math.round(totalDuration / totalTrips / 60) : 0,
+    totalSalikGates: totals._sum.salikGateCount || 0,
+    totalTollCostAed: totals._sum.salikCostAed || 0,
+  };
+}
+
+async function getByWeekday(userId, start, end, timeZone) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      EXTRACT(DOW FROM ("departureTime" AT TIME ZONE 'UTC' AT TIME ZONE ${timeZone}))::int AS "weekday",
+      COUNT(*)::int AS "trips",
+      AVG("durationSeconds")::float AS "avgDuration",
+      AVG("delaySeconds")::float AS "avgDelay",
+      AVG("tripScore")::float AS "avgScore"
+    FROM "Trip"
+    WHERE "userId" = ${userId} AND "departureTime" >= ${start} AND "departureTime" < ${end}
+    GROUP BY 1
+    ORDER BY 1`;
+
+  return rows.map((row) => ({ weekday: row.weekday, ...formatGroup(row) }));
+}
+
+async function getByHour(userId, start, end, timeZone) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      EXTRACT(HOUR FROM ("departureTime" AT TIME ZONE 'UTC' AT TIME ZONE ${timeZone}))::int AS "hour",
+      COUNT(*)::int AS "trips",
+      AVG("durationSeconds")::float AS "avgDuration",
+      AVG("delaySeconds")::float AS "avgDelay",
+      AVG("tripScore")::float AS "avgScore"
+    FROM "Trip"
+    WHERE "userId" = ${userId} AND "departureTime" >= ${start} AND "departureTime" < ${end}
+    GROUP BY 1
+    ORDER BY 1`;
+
+  return rows.map((row) => ({ hour: row.hour, ...formatGroup(row) }));
+}
+
+/**
+ * Most frequent destinations, matched to the closest saved place when there is one
+ */
+async function getByDestination(userId, start, end) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      p."id" AS "savedPlaceId",
+      COALESCE(p."name", t."destinationName") AS "name",
+      COUNT(*)::int AS "trips",
+      SUM(t."distanceMeters")::float AS "totalDistance",
+      AVG(t."durationSeconds")::float AS "avgDuration",
+      AVG(t."delaySeconds")::float AS "avgDelay",
+      AVG(t."tripScore")::float AS "avgScore"
+    FROM "Trip" t
+    LEFT JOIN LATERAL (
+      SELECT sp."id", sp."name"
+      FROM "SavedPlace" sp
+      WHERE sp."userId" = t."userId"
+        AND ABS(sp."latitude" - t."destinationLat") <= ${PLACE_TOLERANCE_DEGREES}
+        AND ABS(sp."longitude" - t."destinationLng") <= ${PLACE_TOLERANCE_DEGREES}
+      ORDER BY (sp."latitude" - t."destinationLat") ^ 2 + (sp."longitude" - t."destinationLng") ^ 2
+      LIMIT 1
+    ) p ON true
+    WHERE t."userId" = ${userId} AND t."departureTime" >= ${start} AND t."departureTime" < ${end}
+    GROUP BY 1, 2
+    ORDER BY 3 DESC
+    LIMIT ${MAX_DESTINATIONS}`;
+
+  return rows.map((row) => ({
+    savedPlaceId: row.savedPlaceId,
+    name: row.name,
+    totalDistanceKm: Math.round(row.totalDistance / 1000),
+    ...formatGroup(row),
+  }));
+}
+
+/**
+ * Per-week totals (weeks start on Monday), including empty weeks, each compared with the week before
+ */
+async function getWeeklyTrends(userId, start, end, timeZone) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      to_char(date_trunc('week', "departureTime" AT TIME ZONE 'UTC' AT TIME ZONE ${timeZone}), 'YYYY-MM-DD') AS "weekStart",
+      COUNT(*)::int AS "trips",
+      SUM("delaySeconds")::float AS "totalDelay",
+      AVG("durationSeconds")::float AS "avgDuration",
+      AVG("delaySeconds")::float AS "avgDelay",
+      AVG("tripScore")::float AS "avgScore"
+    FROM "Trip"
+    WHERE "userId" = ${userId} AND "departureTime" >= ${start} AND "departureTime" < ${end}
+    GROUP BY 1
+    ORDER BY 1`;
+
+  const byWeek = new Map(rows.map((row) => [row.weekStart, row]));
+  const lastWeek = getWeekStart(new Date(end.getTime() - 1), timeZone);
+
+  const weeks = [];
+  for (let week = getWeekStart(start, timeZone); week <= lastWeek; week = addDays(week, 7)) {
+    const row = byWeek.get(week);
+    weeks.push({
+      weekStart: week,
+      totalDelayMinutes: row ? toMinutes(row.totalDelay) : 0,
+      ...(row ? formatGroup(row) : formatGroup({ trips: 0 })),
+    });
+  }
+
+  const change = (current, previous) => (current === null || previous === null ? null : current - previous);
+
+  return weeks.map((week, i) => {
+    const previous = weeks[i - 1];
+    return {
+      ...week,
+      changeFromPreviousWeek: previous
+        ? {
+            trips: week.trips - previous.trips,
+            averageDelayMinutes: change(week.averageDelayMinutes, previous.averageDelayMinutes),
+            averageTripScore: change(week.averageTripScore, previous.averageTripScore),
+          }
+        : null,
+    };
+  });
+}
+
+async function getDelayDistribution(userId, start, end) {
+  const [row] = await prisma.$queryRaw`
+    SELECT
+      percentile_cont(ARRAY[${Prisma.join(DELAY_PERCENTILES)}]::float8[]) WITHIN GROUP (ORDER BY "delaySeconds") AS "percentiles",
+      MAX("delaySeconds")::int AS "max"
+    FROM "Trip"
+    WHERE "userId" = ${userId} AND "departureTime" >= ${start} AND "departureTime" < ${end}`;
+
+  if (!row || !row.percentiles) {
+    return null;
+  }
+
+  const distribution = {};
+  DELAY_PERCENTILES.forEach((p, i) => {
+    distribution[`p${Math.round(p * 100)}Minutes`] = toMinutes(row.percentiles[i]);
+  });
+  distribution.maxMinutes = toMinutes(row.max);
+
+  return distribution;
+}
+
+/**
+ * Analytics for a user's trips departing in [start, end)
+ * @param {string} userId
+ * @param {object} options
+ * @param {Date} options.start
+ * @param {Date} options.end
+ * @param {string} options.timeZone - IANA timezone for weekdays, hours and weeks
+ * @returns {Promise<object>} { stats, breakdowns: { byWeekday, byHour, byDestination }, trends: { weekly }, delayDistribution }
+ */
+async function getTripAnalytics(userId, { start, end, timeZone = DEFAULT_TIMEZONE }) {
+  const where = { userId, departureTime: { gte: start, lt: end } };
+
+  const [stats, byWeekday, byHour, byDestination, weekly, delayDistribution] = await Promise.all([
+    getTotals(where),
+    getByWeekday(userId, start, end, timeZone),
+    getByHour(userId, start, end, timeZone),
+    getByDestination(userId, start, end),
+    getWeeklyTrends(userId, start, end, timeZone),
+    getDelayDistribution(userId, start, end),
+  ]);
+
+  return {
+    stats,
+    breakdowns: { byWeekday, byHour, byDestination },
+    trends: { weekly },
+    delayDistribution,
+  };
+}
+
+module.exports = {
+  getTripAnalytics,
+};
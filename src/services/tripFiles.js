@@ -0,0 +1,299 @@
+/**
+ * Trip Files
+ *
+ * Converts recorded trips to GPX, GeoJSON and KML for export, and parses GPX
+ * tracks from other apps for import. Trip paths come from routePolyline;
+ * trips without one are exported as a straight line between their ends.
+ */
+
+const { getDistanceKm, decodePolyline, encodePolyline, isValidCoordinate } = require('../utils/geo');
+
+const FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+};
+
+// Trip fields exported as metadata
+const METADATA_FIELDS = [
+  'id',
+  'originName',
+  'originAddress',
+  'destinationName',
+  'destinationAddress',
+  'departureTime',
+  'arrivalTime',
+  'distanceMeters',
+  'durationSeconds',
+  'delaySeconds',
+  'typicalDuration',
+  'timeSavedSeconds',
+  'tripScore',
+];
+
+// Imported tracks are thinned to this many points before storing as routePolyline
+const MAX_POLYLINE_POINTS = 2000;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Path of a trip as [{ lat, lng }]
+ */
+function getTripPoints(trip) {
+  if (trip.routePolyline) {
+    const points = decodePolyline(trip.routePolyline);
+    if (points.length >= 2) return points;
+  }
+
+  return [
+    { lat: trip.originLat, lng: trip.originLng },
+    { lat: trip.destinationLat, lng: trip.destinationLng },
+  ];
+}
+
+function getTripName(trip) {
+  return `${trip.originName || 'Start'} → ${trip.destinationName || 'Destination'}`;
+}
+
+/**
+ * Trip metadata with dates as ISO strings, skipping empty fields
+ */
+function getMetadata(trip) {
+  const metadata = {};
+  for (const field of METADATA_FIELDS) {
+    const value = trip[field];
+    if (value === null || value === undefined) continue;
+    metadata[field] = value instanceof Date ? value.toISOString() : value;
+  }
+  metadata.hasRoute = Boolean(trip.routePolyline);
+  return metadata;
+}
+
+/**
+ * @returns {string} GeoJSON FeatureCollection with one LineString per trip
+ */
+function toGeoJson(trips) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: trips.map((trip) => ({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: getTripPoints(trip).map((p) => [p.lng, p.lat]),
+      },
+      properties: { name: getTripName(trip), ...getMetadata(trip) },
+    })),
+  });
+}
+
+/**
+ * Arrival time of a trip, derived from its duration when none was recorded
+ */
+function getArrivalTime(trip) {
+  return trip.arrivalTime || new Date(new Date(trip.departureTime).getTime() + trip.durationSeconds * 1000);
+}
+
+/**
+ * @returns {string} GPX 1.1 with one track per trip
+ * Only the first and last points carry times (departure and arrival)
+ */
+function toGpx(trips) {
+  const tracks = trips.map((trip) => {
+    const points = getTripPoints(trip);
+    const times = [trip.departureTime, ...Array(points.length - 2).fill(null), getArrivalTime(trip)];
+
+    const trkpts = points.map((p, i) => (times[i]
+      ? `      <trkpt lat="${p.lat}" lon="${p.lng}"><time>${new Date(times[i]).toISOString()}</time></trkpt>`
+      : `      <trkpt lat="${p.lat}" lon="${p.lng}"/>`));
+
+    const description = Object.entries(getMetadata(trip))
+      .map(([key, value]) => `${key}: ${value}`)
+      .join('\n');
+
+    return [
+      '  <trk>',
+      `    <name>${escapeXml(getTripName(trip))}</name>`,
+      `    <desc>${escapeXml(description)}</desc>`,
+      '    <type>driving</type>',
+      '    <trkseg>',
+      ...trkpts,
+      '    </trkseg>',
+      '  </trk>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Yalla" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>Yalla trips</name><time>${new Date().toISOString()}</time></metadata>`,
+    ...tracks,
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * @returns {string} KML with one Placemark per trip, metadata as ExtendedData
+ */
+function toKml(trips) {
+  const placemarks = trips.map((trip) => {
+    const coordinates = getTripPoints(trip).map((p) => `${p.lng},${p.lat}`).join(' ');
+    const data = Object.entries(getMetadata(trip))
+      .map(([key, value]) => `        <Data name="${key}"><value>${escapeXml(value)}</value></Data>`);
+    const end = `<end>${new Date(getArrivalTime(trip)).toISOString()}</end>`;
+
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(getTripName(trip))}</name>`,
+      `      <TimeSpan><begin>${new Date(trip.departureTime).toISOString()}</begin>${end}</TimeSpan>`,
+      '      <ExtendedData>',
+      ...data,
+      '      </ExtendedData>',
+      `      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+      '    </Placemark>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>Yalla trips</name>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Serialize trips in an export format
+ * @param {Array<object>} trips - Trip rows
+ * @param {string} format - gpx, geojson or kml
+ * @returns {string}
+ */
+function exportTrips(trips, format) {
+  switch (format) {
+    case 'gpx':
+      return toGpx(trips);
+    case 'kml':
+      return toKml(trips);
+    case 'geojson':
+      return toGeoJson(trips);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+function parseAttributes(tag) {
+  const attributes = {};
+  for (const [, name, , value] of tag.matchAll(/(\w+)\s*=\s*(["'])(.*?)\2/g)) {
+    attributes[name] = value;
+  }
+  return attributes;
+}
+
+function getElementText(xml, name) {
+  const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+  return match ? unescapeXml(match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/, '$1').trim()) : null;
+}
+
+/**
+ * Turn one GPX track into trip fields
+ * @returns {object} { name, trip } or { name, error }
+ */
+function parseTrack(trackXml) {
+  const name = getElementText(trackXml.replace(/<trkseg[\s\S]*$/, ''), 'name');
+  const segments = [...trackXml.matchAll(/<trkseg(?:\s[^>]*)?>([\s\S]*?)<\/trkseg>/g)].map((m) => m[1]);
+
+  let distanceMeters = 0;
+  const points = [];
+  const times = [];
+
+  for (const segment of segments) {
+    let previous = null;
+    for (const [, tag, body = ''] of segment.matchAll(/<trkpt(\s[^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g)) {
+      const { lat, lon } = parseAttributes(tag);
+      const point = { lat: parseFloat(lat), lng: parseFloat(lon) };
+      if (!isValidCoordinate(point.lat, point.lng)) continue;
+
+      if (previous) {
+        distanceMeters += getDistanceKm(previous.lat, previous.lng, point.lat, point.lng) * 1000;
+      }
+      points.push(point);
+      previous = point;
+
+      const time = getElementText(body, 'time');
+      if (time && !isNaN(new Date(time).getTime())) {
+        times.push(new Date(time));
+      }
+    }
+  }
+
+  if (points.length < 2) {
+    return { name, error: 'Track has fewer than 2 points' };
+  }
+  if (times.length < 2) {
+    return { name, error: 'Track has no timestamps' };
+  }
+
+  // Tracks can have tens of thousands of points, too many to spread into Math.min
+  const departureTime = times.reduce((min, t) => (t < min ? t : min));
+  const arrivalTime = times.reduce((max, t) => (t > max ? t : max));
+  const durationSeconds = Math.round((arrivalTime - departureTime) / 1000);
+  if (durationSeconds <= 0) {
+    return { name, error: 'Track has no duration' };
+  }
+
+  const step = Math.ceil(points.length / MAX_POLYLINE_POINTS);
+  const thinned = points.filter((_, i) => i % step === 0 || i === points.length - 1);
+
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return {
+    name,
+    trip: {
+      originLat: first.lat,
+      originLng: first.lng,
+      destinationLat: last.lat,
+      destinationLng: last.lng,
+      departureTime,
+      arrivalTime,
+      distanceMeters: Math.round(distanceMeters),
+      durationSeconds,
+      routePolyline: encodePolyline(thinned),
+    },
+  };
+}
+
+/**
+ * Parse the tracks of a GPX document
+ * @param {string} xml - GPX document
+ * @returns {Array<object>} Per track: { name, trip } or { name, error }
+ */
+function parseGpx(xml) {
+  return [...xml.matchAll(/<trk(?:\s[^>]*)?>([\s\S]*?)<\/trk>/g)].map((m) => parseTrack(m[1]));
+}
+
+module.exports = {
+  FORMATS,
+  exportTrips,
+  parseGpx,
+};
@@ -0,0 +1,215 @@
+/**
+ * Trip Scoring
+ *
+ * Scores a recorded trip from 0 to 100 on the server. The score blends four
+ * components, each also scored 0-100 and stored with the numbers behind it
+ * so the app can explain the result:
+ *
+ *   - delay: duration compared with the typical duration (or free flow)
+ *   - departure: how close the user left to the recommended departure time
+ *   - congestion: share of the distance driven in heavy traffic
+ *   - route: actual duration compared with the alternatives offered
+ *
+ * Components without data are left out and the others reweighted.
+ */
+
+const prisma = require('../utils/prisma');
+const { getDistanceKm } = require('../utils/geo');
+
+const SCORE_VERSION = 1;
+
+const WEIGHTS = {
+  delay: 0.4,
+  departure: 0.2,
+  congestion: 0.2,
+  route: 0.2,
+};
+
+// Share of a section's length that counts as congested, by traffic level
+const CONGESTION_SHARE = {
+  free: 0,
+  light: 0,
+  moderate: 0.5,
+  heavy: 1,
+  severe: 1,
+};
+
+// Leaving this close to the recommended time is on time
+const ON_TIME_MINUTES = 5;
+// Leaving this far off scores zero
+const MAX_OFFSET_MINUTES = 30;
+
+// A sent departure alert applies to a trip ending this close to the alert's destination...
+const ALERT_DESTINATION_METERS = 500;
+// ...that started within this window around the alert
+const ALERT_WINDOW_MINUTES = 120;
+
+function clampScore(value) {
+  return Math.round(Math.max(0, Math.min(100, value)));
+}
+
+/**
+ * Duration compared with the typical duration; 10% faster or better scores 100,
+ * typical scores 80 and 50% slower scores 0
+ */
+function scoreDelay(trip) {
+  if (trip.typicalDuration) {
+    const ratio = trip.durationSeconds / trip.typicalDuration;
+    return {
+      score: clampScore(100 - (ratio - 0.9) * 200),
+      basis: 'typical',
+      typicalSeconds: trip.typicalDuration,
+      durationSeconds: trip.durationSeconds,
+    };
+  }
+
+  // Without a typical duration, compare with the free-flow time (needs the traffic delay)
+  if (trip.delaySeconds === null || trip.delaySeconds === undefined) return null;
+  const freeFlowSeconds = trip.durationSeconds - trip.delaySeconds;
+  if (freeFlowSeconds <= 0) return null;
+
+  const ratio = trip.durationSeconds / freeFlowSeconds;
+  return {
+    score: clampScore(100 - (ratio - 1) * 200),
+    basis: 'free_flow',
+    freeFlowSeconds,
+    durationSeconds: trip.durationSeconds,
+  };
+}
+
+/**
+ * Departure compared with the recommended departure time
+ */
+function scoreDeparture(trip, recommendedDeparture) {
+  if (!recommendedDeparture) return null;
+
+  const offsetMinutes = (new Date(trip.departureTime) - new Date(recommendedDeparture)) / 60000;
+  const excess = Math.max(0, Math.abs(offsetMinutes) - ON_TIME_MINUTES);
+
+  return {
+    score: clampScore(100 - (excess / (MAX_OFFSET_MINUTES - ON_TIME_MINUTES)) * 100),
+    recommendedDeparture: new Date(recommendedDeparture).toISOString(),
+    offsetMinutes: Math.round(offsetMinutes),
+  };
+}
+
+/**
+ * Share of the distance driven in congestion
+ * trafficConditions: { congestedMeters } or { sections: [{ lengthMeters, level }] }
+ * with levels free, light, moderate, heavy, severe
+ */
+function scoreCongestion(trip, trafficConditions) {
+  if (!trafficConditions || !trip.distanceMeters) return null;
+
+  let congestedMeters;
+  if (typeof trafficConditions.congestedMeters === 'number') {
+    congestedMeters = trafficConditions.congestedMeters;
+  } else if (Array.isArray(trafficConditions.sections)) {
+    congestedMeters = trafficConditions.sections.reduce(
+      (sum, section) => sum + (section.lengthMeters || 0) * (CONGESTION_SHARE[section.level] || 0),
+      0
+    );
+  } else {
+    return null;
+  }
+
+  const share = Math.min(1, congestedMeters / trip.distanceMeters);
+  return {
+    score: clampScore((1 - share) * 100),
+    congestedShare: Math.round(share * 100) / 100,
+  };
+}
+
+/**
+ * Actual duration compared with the fastest alternative offered at departure
+ * trafficConditions: { alternatives: [{ travelTimeSeconds }] }
+ * Matching the best alternative scores 100, 25% slower scores 0
+ */
+function scoreRoute(trip, trafficConditions) {
+  const alternatives = (trafficConditions?.alternatives || [])
+    .map((alt) => alt?.travelTimeSeconds)
+    .filter((seconds) => typeof seconds === 'number' && seconds > 0);
+  if (alternatives.length === 0) return null;
+
+  const bestAlternativeSeconds = Math.min(...alternatives);
+  const ratio = trip.durationSeconds / bestAlternativeSeconds;
+
+  return {
+    score: clampScore(100 - (ratio - 1) * 400),
+    bestAlternativeSeconds,
+    durationSeconds: trip.durationSeconds,
+  };
+}
+
+/**
+ * Score a trip
+ * @param {object} trip - Trip fields (durationSeconds, delaySeconds, typicalDuration, distanceMeters, departureTime)
+ * @param {object} context
+ * @param {object} context.trafficConditions - Parsed trafficConditions JSON
+ * @param {Date|string} context.recommendedDeparture - Recommended departure time, if any
+ * @returns {object} { score, breakdown } - score is null when nothing could be scored
+ */
+function scoreTrip(trip, { trafficConditions, recommendedDeparture } = {}) {
+  const components = {
+    delay: scoreDelay(trip),
+    departure: scoreDeparture(trip, recommendedDeparture),
+    congestion: scoreCongestion(trip, trafficConditions),
+    route: scoreRoute(trip, trafficConditions),
+  };
+
+  const scored = Object.entries(components).filter(([, component]) => component);
+  const totalWeight = scored.reduce((sum, [name]) => sum + WEIGHTS[name], 0);
+  if (totalWeight === 0) {
+    return { score: null, breakdown: { version: SCORE_VERSION, components } };
+  }
+
+  for (const [name, component] of scored) {
+    component.weight = Math.round((WEIGHTS[name] / totalWeight) * 100) / 100;
+  }
+
+  const score = scored.reduce((sum, [name, component]) => sum + component.score * WEIGHTS[name], 0) / totalWeight;
+
+  return {
+    score: clampScore(score),
+    breakdown: { version: SCORE_VERSION, components },
+  };
+}
+
+/**
+ * Recommended departure for a trip from a departure alert the user received
+ * (the alert goes out leadMinutes before the latest departure)
+ * @param {object} trip - Trip row or fields (userId, destinationLat, destinationLng, departureTime)
+ * @returns {Promise<Date|null>}
+ */
+async function findRecommendedDeparture(trip) {
+  const departure = new Date(trip.departureTime);
+  const windowMs = ALERT_WINDOW_MINUTES * 60 * 1000;
+
+  const alerts = await prisma.scheduledAlert.findMany({
+    where: {
+      userId: trip.userId,
+      status: 'sent',
+      sentAt: { gte: new Date(departure.getTime() - windowMs), lte: new Date(departure.getTime() + windowMs) },
+    },
+  });
+
+  let best = null;
+  for (const alert of alerts) {
+    const distanceMeters = getDistanceKm(
+      alert.destinationLat, alert.destinationLng, trip.destinationLat, trip.destinationLng
+    ) * 1000;
+    if (distanceMeters > ALERT_DESTINATION_METERS) continue;
+
+    const recommended = new Date(alert.sentAt.getTime() + alert.leadMinutes * 60 * 1000);
+    if (!best || Math.abs(recommended - departure) < Math.abs(best - departure)) {
+      best = recommended;
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  scoreTrip,
+  findRecommendedDeparture,
+};
@@ -0,0 +1,407 @@
+/**
+ * Trip Sessions
+ *
+ * A trip session is a trip the user is navigating right now. The app registers
+ * it with its route and a Live Activity push token, and reports its position
+ * while driving. checkSession re-checks traffic from the last position and
+ * updates the Live Activity when the arrival time moves or an incident shows
+ * up ahead; sessions end on arrival, when the user stops, or on timeout.
+ */
+
+const prisma = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { getRouteSummary, getRouteGeometry, getTrafficStatus } = require('./routing');
+const { sendLiveActivityUpdate } = require('./notifications');
+const { getTomTomIncidents } = require('./tomtomIncidents');
+const { getDistanceKm, distanceToPolylineMeters, getBounds } = require('../utils/geo');
+
+// Position this close to the destination counts as arrived
+const ARRIVAL_RADIUS_METERS = 150;
+// Time between traffic re-checks of an active session
+const CHECK_INTERVAL_SECONDS = 120;
+// Arrival time changes below this aren't worth a Live Activity update
+const UPDATE_THRESHOLD_SECONDS = 60;
+// Arrival time changes of at least this much alert the user
+const ALERT_THRESHOLD_MINUTES = 5;
+// Push a refresh at least this often so the activity doesn't go stale
+const REFRESH_MINUTES = 10;
+// The activity shows as stale if no update arrives within this time
+const STALE_AFTER_MINUTES = 15;
+// Ended activities stay on the lock screen this long
+const DISMISS_AFTER_MINUTES = 5;
+// An incident this close to the remaining route counts as ahead
+const INCIDENT_CORRIDOR_METERS = 300;
+// TomTom incidents below this magnitudeOfDelay (2 = moderate) aren't worth a push
+const MIN_TOMTOM_MAGNITUDE = 2;
+// TomTom lookups snap the route's bounds outward to this many degrees, so nearby sessions share the cache
+const TOMTOM_BBOX_STEP = 0.01;
+// Live Activities are capped at 8 hours by iOS
+const MAX_SESSION_HOURS = 8;
+// Sessions without position updates end this long after the expected arrival
+const OVERDUE_MINUTES = 30;
+// Max vertices stored for an app-supplied route
+const MAX_ROUTE_POINTS = 500;
+
+/**
+ * Parse the stored route
+ */
+function getRoutePoints(session) {
+  try {
+    return JSON.parse(session.routePoints);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Length of a polyline in meters
+ */
+function getPolylineLength(points) {
+  let meters = 0;
+  for (let i = 1; i < points.length; i++) {
+    meters += getDistanceKm(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng) * 1000;
+  }
+  return meters;
+}
+
+/**
+ * Index of the route vertex closest to a point
+ */
+function getClosestIndex(points, point) {
+  let closest = 0;
+  let min = Infinity;
+  points.forEach((p, i) => {
+    const distance = getDistanceKm(point.lat, point.lng, p.lat, p.lng);
+    if (distance < min) {
+      min = distance;
+      closest = i;
+    }
+  });
+  return closest;
+}
+
+/**
+ * Distance along a route from its start to the point on it closest to a location
+ */
+function getDistanceAlongRoute(points, point) {
+  let best = { offset: Infinity, along: 0 };
+  let travelled = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const segment = [points[i - 1], points[i]];
+    const offset = distanceToPolylineMeters(point, segment);
+    if (offset < best.offset) {
+      // Distance from the segment start to the projected point
+      const fromStart = getDistanceKm(segment[0].lat, segment[0].lng, point.lat, point.lng) * 1000;
+      best = { offset, along: travelled + Math.sqrt(Math.max(0, fromStart ** 2 - offset ** 2)) };
+    }
+    travelled += getPolylineLength(segment);
+  }
+
+  return best.along;
+}
+
+/**
+ * Part of the route still ahead of a position
+ */
+function getRemainingRoute(points, position) {
+  if (points.length === 0) return [];
+  return [position, ...points.slice(getClosestIndex(points, position) + 1)];
+}
+
+/**
+ * TomTom incidents around the remaining route, as incident-ahead candidates
+ * A TomTom outage only costs the TomTom half of the check.
+ */
+async function getTomTomCandidates(bounds) {
+  const snap = (value, round) => (round(value / TOMTOM_BBOX_STEP) * TOMTOM_BBOX_STEP).toFixed(2);
+  const bbox = [
+    snap(bounds.minLng, Math.floor),
+    snap(bounds.minLat, Math.floor),
+    snap(bounds.maxLng, Math.ceil),
+    snap(bounds.maxLat, Math.ceil),
+  ].join(',');
+
+  try {
+    const incidents = await getTomTomIncidents(bbox);
+    return incidents
+      .filter((inc) => inc.magnitude >= MIN_TOMTOM_MAGNITUDE)
+      .map(({ key, type, severity, roadName, lat, lng }) => ({ id: key, type, severity, roadName, lat, lng }));
+  } catch (error) {
+    logger.warn(`[TripSessions] TomTom incidents failed: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Nearest community or TomTom incident on the remaining route
+ * @returns {Promise<object|null>} { incident, distanceMeters, isNew } - incident is { id, type, severity, roadName },
+ *   id being the community incident id or "tomtom:<id>"; distance is along the route; isNew is
+ *   false once the session has been alerted about it
+ */
+async function findIncidentAhead(session, remaining, now) {
+  if (remaining.length < 2) return null;
+
+  const bounds = getBounds(remaining, INCIDENT_CORRIDOR_METERS / 1000);
+  const [community, tomtom] = await Promise.all([
+    prisma.incident.findMany({
+      where: {
+        latitude: { gte: bounds.minLat, lte: bounds.maxLat },
+        longitude: { gte: bounds.minLng, lte: bounds.maxLng },
+        isActive: true,
+        expiresAt: { gt: now },
+      },
+    }),
+    getTomTomCandidates(bounds),
+  ]);
+
+  const candidates = [
+    ...community.map((incident) => ({
+      id: incident.id,
+      type: incident.type,
+      severity: incident.severity,
+      roadName: incident.roadName,
+      lat: incident.latitude,
+      lng: incident.longitude,
+    })),
+    ...tomtom,
+  ];
+
+  let nearest = null;
+  for (const incident of candidates) {
+    const point = { lat: incident.lat, lng: incident.lng };
+    if (distanceToPolylineMeters(point, remaining) > INCIDENT_CORRIDOR_METERS) continue;
+
+    const distanceMeters = getDistanceAlongRoute(remaining, point);
+    if (!nearest || distanceMeters < nearest.distanceMeters) {
+      nearest = { incident, distanceMeters };
+    }
+  }
+
+  if (nearest) {
+    nearest.isNew = !session.notifiedIncidentIds.includes(nearest.incident.id);
+  }
+  return nearest;
+}
+
+/**
+ * Live Activity content state (must match the app's ActivityAttributes.ContentState)
+ */
+function buildContentState(session, incidentAhead) {
+  return {
+    etaMinutes: Math.round(session.etaSeconds / 60),
+    arrivalTime: Math.floor(session.expectedArrival.getTime() / 1000),
+    remainingMeters: session.remainingMeters,
+    delayMinutes: Math.round(session.delaySeconds / 60),
+    trafficStatus: getTrafficStatus({
+      travelTimeSeconds: session.etaSeconds,
+      delaySeconds: session.delaySeconds,
+    }),
+    incidentAhead: incidentAhead
+      ? {
+          type: incidentAhead.incident.type,
+          severity: incidentAhead.incident.severity,
+          roadName: incidentAhead.incident.roadName,
+          distanceMeters: Math.round(incidentAhead.distanceMeters),
+        }
+      : null,
+  };
+}
+
+/**
+ * Start a trip session, ending any other active session of the user
+ * @param {string} userId - User id
+ * @param {object} trip
+ * @param {object} trip.origin - { lat, lng }
+ * @param {object} trip.destination - { lat, lng, name }
+ * @param {Array<object>} trip.route - Optional route as navigated [{ lat, lng }]
+ * @param {string} trip.activityPushToken - Optional Live Activity push token
+ * @param {string} trip.bundleId - Optional app bundle id
+ * @returns {Promise<object>} TripSession
+ */
+async function startSession(userId, trip) {
+  const previous = await prisma.tripSession.findMany({
+    where: { userId, status: 'active' },
+  });
+  for (const session of previous) {
+    await endSession(session, 'ended');
+  }
+
+  const [summary, route] = await Promise.all([
+    getRouteSummary(trip.origin, trip.destination),
+    trip.route?.length >= 2 ? trip.route : getRouteGeometry(trip.origin, trip.destination),
+  ]);
+
+  const step = Math.ceil(route.length / MAX_ROUTE_POINTS) || 1;
+  const routePoints = route
+    .filter((_, i) => i % step === 0 || i === route.length - 1)
+    .map((p) => ({ lat: p.lat, lng: p.lng }));
+
+  const now = new Date();
+
+  return prisma.tripSession.create({
+    data: {
+      userId,
+      originLat: trip.origin.lat,
+      originLng: trip.origin.lng,
+      destinationName: trip.destination.name,
+      destinationLat: trip.destination.lat,
+      destinationLng: trip.destination.lng,
+      routePoints: JSON.stringify(routePoints),
+      activityPushToken: trip.activityPushToken,
+      bundleId: trip.bundleId,
+      etaSeconds: summary.travelTimeSeconds,
+      delaySeconds: summary.delaySeconds,
+      remainingMeters: summary.lengthMeters,
+      expectedArrival: new Date(now.getTime() + summary.travelTimeSeconds * 1000),
+      // The app shows the initial ETA itself
+      pushedArrival: new Date(now.getTime() + summary.travelTimeSeconds * 1000),
+      pushedAt: now,
+      lockedUntil: new Date(now.getTime() + CHECK_INTERVAL_SECONDS * 1000),
+    },
+  });
+}
+
+/**
+ * Whether a position is at the session's destination
+ */
+function hasArrived(session, position) {
+  const distanceKm = getDistanceKm(position.lat, position.lng, session.destinationLat, session.destinationLng);
+  return distanceKm * 1000 <= ARRIVAL_RADIUS_METERS;
+}
+
+/**
+ * Re-check traffic for a claimed session and update its Live Activity
+ * @param {object} session - TripSession row
+ * @param {Date} now - Check time
+ */
+async function checkSession(session, now = new Date()) {
+  const lastSeen = session.locationUpdatedAt || session.startedAt;
+  const overdue = now.getTime() > session.expectedArrival.getTime() + OVERDUE_MINUTES * 60 * 1000 &&
+    now.getTime() - lastSeen.getTime() > OVERDUE_MINUTES * 60 * 1000;
+  const tooLong = now.getTime() - session.startedAt.getTime() > MAX_SESSION_HOURS * 60 * 60 * 1000;
+
+  if (overdue || tooLong) {
+    return endSession(session, 'timed_out');
+  }
+
+  const position = session.currentLat != null
+    ? { lat: session.currentLat, lng: session.currentLng }
+    : { lat: session.originLat, lng: session.originLng };
+
+  if (hasArrived(session, position)) {
+    return endSession(session, 'arrived');
+  }
+
+  const destination = { lat: session.destinationLat, lng: session.destinationLng };
+  const summary = await getRouteSummary(position, destination);
+  const remaining = getRemainingRoute(getRoutePoints(session), position);
+  const incidentAhead = await findIncidentAhead(session, remaining, now);
+
+  const updated = {
+    ...session,
+    etaSeconds: summary.travelTimeSeconds,
+    delaySeconds: summary.delaySeconds,
+    remainingMeters: summary.lengthMeters,
+    expectedArrival: new Date(now.getTime() + summary.travelTimeSeconds * 1000),
+  };
+
+  const data = {
+    etaSeconds: updated.etaSeconds,
+    delaySeconds: updated.delaySeconds,
+    remainingMeters: updated.remainingMeters,
+    expectedArrival: updated.expectedArrival,
+    lastCheckedAt: now,
+    lockedUntil: new Date(now.getTime() + CHECK_INTERVAL_SECONDS * 1000),
+  };
+
+  const changeSeconds = session.pushedArrival
+    ? (updated.expectedArrival - session.pushedArrival) / 1000
+    : Infinity;
+  const needsRefresh = !session.pushedAt || now - session.pushedAt >= REFRESH_MINUTES * 60 * 1000;
+
+  let template = null;
+  let params = null;
+  // The incident stays on the lock screen while it's ahead, but only alerts once
+  if (incidentAhead?.isNew) {
+    template = 'trip_incident_ahead';
+    params = {
+      incidentType: incidentAhead.incident.type,
+      severity: incidentAhead.incident.severity,
+      roadName: incidentAhead.incident.roadName,
+      distanceMeters: incidentAhead.distanceMeters,
+    };
+  } else if (Math.abs(changeSeconds) >= ALERT_THRESHOLD_MINUTES * 60) {
+    template = changeSeconds > 0 ? 'trip_eta_later' : 'trip_eta_earlier';
+    params = {
+      arrivalTime: updated.expectedArrival,
+      changeMinutes: Math.round(changeSeconds / 60),
+    };
+  }
+
+  if (session.activityPushToken && (template || needsRefresh || Math.abs(changeSeconds) >= UPDATE_THRESHOLD_SECONDS)) {
+    const result = await sendLiveActivityUpdate(session, {
+      event: 'update',
+      contentState: buildContentState(updated, incidentAhead),
+      template,
+      params,
+      staleDate: new Date(now.getTime() + STALE_AFTER_MINUTES * 60 * 1000),
+    });
+
+    if (result.success) {
+      data.pushedArrival = updated.expectedArrival;
+      data.pushedAt = now;
+      if (incidentAhead?.isNew) {
+        data.notifiedIncidentIds = { push: incidentAhead.incident.id };
+      }
+    } else if (result.invalidToken) {
+      // The activity was dismissed on the device; keep tracking until a new token arrives
+      data.activityPushToken = null;
+    }
+  }
+
+  await prisma.tripSession.updateMany({
+    where: { id: session.id, status: 'active' },
+    data,
+  });
+}
+
+/**
+ * End a session and its Live Activity
+ * @param {object} session - TripSession row
+ * @param {string} status - arrived, ended or timed_out
+ * @returns {Promise<boolean>} Whether this call ended it (false if it was already over)
+ */
+async function endSession(session, status) {
+  const now = new Date();
+  const { count } = await prisma.tripSession.updateMany({
+    where: { id: session.id, status: 'active' },
+    data: { status, endedAt: now, lockedUntil: null },
+  });
+
+  if (count === 0) return false;
+
+  if (session.activityPushToken) {
+    const result = await sendLiveActivityUpdate(session, {
+      event: 'end',
+      contentState: {
+        ...buildContentState(session, null),
+        ...(status === 'arrived' && { etaMinutes: 0, remainingMeters: 0 }),
+      },
+      dismissalDate: new Date(now.getTime() + DISMISS_AFTER_MINUTES * 60 * 1000),
+    });
+
+    if (!result.success) {
+      logger.warn(`[TripSessions] End update for session ${session.id} failed: ${result.reason || result.error}`);
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  startSession,
+  checkSession,
+  endSession,
+  hasArrived,
+};
@@ -0,0 +1,216 @@
+/**
+ * Vibe Clusters
+ *
+ * Rebuilds a segment's cluster from its live vibes. Counts are live vibes
+ * only, so expired reports drop out; the dominant vibe and confidence weigh
+ * each vibe by exponential decay on its age, so fresh reports win over
+ * older ones on the same segment, and by its trust weight (see vibeTrust.js).
+ * Shadow-discarded vibes (weight 0) are left out entirely.
+ *
+ * Submissions rebuild their cluster right away; refreshLiveClusters catches up
+ * the clusters that changed only with time (a vibe expired or decayed further).
+ */
+
+const prisma = require('../utils/prisma');
+
+const VIBE_TYPES = ['smooth', 'slowdown', 'heavy', 'deadlock', 'accident', 'police', 'hazard'];
+// A vibe's weight halves every this many minutes
+const DECAY_HALF_LIFE_MINUTES = 3;
+// Decayed weight at which the evidence term of the confidence reaches ~63%
+const EVIDENCE_SCALE = 2;
+// Clusters are refreshed when a vibe reaches each of its first few half-lives;
+// past these its weight barely moves the cluster
+const DECAY_REFRESH_STEPS = 3;
+// Cluster updates per batch transaction
+const REFRESH_BATCH_SIZE = 200;
+
+// When this instance last refreshed clusters; until its first run every live cluster is refreshed
+let lastRefreshAt = null;
+
+/**
+ * Weight of a vibe created at createdAt, 1 when fresh
+ */
+function getDecayWeight(createdAt, now) {
+  const ageMinutes = Math.max(0, (now - createdAt) / 60000);
+  return Math.pow(0.5, ageMinutes / DECAY_HALF_LIFE_MINUTES);
+}
+
+/**
+ * Aggregate live vibes of one segment
+ * Confidence (0-1) is the dominant vibe's share of the decayed weight, scaled
+ * down when there is little recent evidence (one fresh vibe gives ~0.39)
+ * @param {Array} vibes - Live vibes ({ type, weight, createdAt, expiresAt })
+ * @param {Date} now
+ * @returns {object} { counts, totalCount, dominantVibe, confidence, lastReportedAt, expiresAt }
+ */
+function summarizeVibes(vibes, now = new Date()) {
+  const counts = {};
+  const weights = {};
+  for (const type of VIBE_TYPES) {
+    counts[type] = 0;
+    weights[type] = 0;
+  }
+
+  let totalWeight = 0;
+  let lastReportedAt = null;
+  let expiresAt = null;
+  for (const vibe of vibes) {
+    const weight = getDecayWeight(vibe.createdAt, now) * vibe.weight;
+    counts[vibe.type]++;
+    weights[vibe.type] += weight;
+    totalWeight += weight;
+    if (!lastReportedAt || vibe.createdAt > lastReportedAt) {
+      lastReportedAt = vibe.createdAt;
+    }
+    if (!expiresAt || vibe.expiresAt > expiresAt) {
+      expiresAt = vibe.expiresAt;
+    }
+  }
+
+  let dominantVibe = 'smooth';
+  for (const type of VIBE_TYPES) {
+    if (weights[type] > weights[dominantVibe]) {
+      dominantVibe = type;
+    }
+  }
+
+  const share = totalWeight > 0 ? weights[dominantVibe] / totalWeight : 0;
+  const evidence = 1 - Math.exp(-totalWeight / EVIDENCE_SCALE);
+
+  return {
+    counts,
+    totalCount: vibes.length,
+    dominantVibe,
+    confidence: Math.round(share * evidence * 100) / 100,
+    lastReportedAt,
+    // Without live vibes the cluster is expired and left for compaction
+    expiresAt: expiresAt || now,
+  };
+}
+
+function toClusterData(summary, now) {
+  const data = {
+    totalCount: summary.totalCount,
+    dominantVibe: summary.dominantVibe,
+    confidence: summary.confidence,
+    lastUpdated: summary.lastReportedAt || now,
+    expiresAt: summary.expiresAt,
+  };
+  for (const type of VIBE_TYPES) {
+    data[`${type}Count`] = summary.counts[type];
+  }
+  return data;
+}
+
+/**
+ * Rebuild one cluster from its live vibes, creating it if needed
+ * Rebuilds of a segment are serialised with a transaction-scoped advisory
+ * lock, so the last one to run sees every committed vibe and concurrent
+ * submissions on several instances can't leave an older result behind.
+ * @param {string} segmentId
+ * @param {object} segment - Location for a new cluster ({ lat, lng, geohash, roadName, direction })
+ * @param {Date} now
+ */
+async function recomputeCluster(segmentId, segment, now = new Date()) {
+  await prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`vibe-cluster:${segmentId}`}))`;
+
+    const vibes = await tx.vibe.findMany({
+      where: { segmentId, expiresAt: { gt: now }, weight: { gt: 0 } },
+      select: { type: true, weight: true, createdAt: true, expiresAt: true },
+    });
+
+    const data = toClusterData(summarizeVibes(vibes, now), now);
+
+    await tx.vibeCluster.upsert({
+      where: { segmentId },
+      update: data,
+      create: {
+        segmentId,
+        latitude: segment.lat,
+        longitude: segment.lng,
+        geohash: segment.geohash,
+        roadName: segment.roadName,
+        direction: segment.direction,
+        ...data,
+      },
+    });
+  });
+}
+
+/**
+ * Segments whose clusters changed with time since a previous run:
+ * one of their vibes expired or reached another half-life
+ * @returns {Promise<Array<string>>} Segment ids
+ */
+async function findAgedSegments(since, now) {
+  const halfLifeMs = DECAY_HALF_LIFE_MINUTES * 60 * 1000;
+  const halvings = [];
+  for (let step = 1; step <= DECAY_REFRESH_STEPS; step++) {
+    halvings.push({
+      createdAt: {
+        gt: new Date(since.getTime() - step * halfLifeMs),
+        lte: new Date(now.getTime() - step * halfLifeMs),
+      },
+    });
+  }
+
+  const vibes = await prisma.vibe.findMany({
+    where: {
+      weight: { gt: 0 },
+      OR: [{ expiresAt: { gt: since, lte: now } }, ...halvings],
+    },
+    select: { segmentId: true },
+    distinct: ['segmentId'],
+  });
+  return vibes.map((vibe) => vibe.segmentId);
+}
+
+/**
+ * Re-apply decay and drop expired vibes from the live clusters that changed since the last run
+ * Updates are batched and skip clusters a submission rebuilt from newer vibes in the meantime.
+ * @param {Date} now
+ * @returns {Promise<number>} Number of clusters refreshed
+ */
+async function refreshLiveClusters(now = new Date()) {
+  const segmentIds = lastRefreshAt
+    ? await findAgedSegments(lastRefreshAt, now)
+    : (await prisma.vibeCluster.findMany({
+        where: { expiresAt: { gt: now } },
+        select: { segmentId: true },
+      })).map((cluster) => cluster.segmentId);
+
+  let refreshed = 0;
+  for (let i = 0; i < segmentIds.length; i += REFRESH_BATCH_SIZE) {
+    const batch = segmentIds.slice(i, i + REFRESH_BATCH_SIZE);
+    const vibes = await prisma.vibe.findMany({
+      where: { segmentId: { in: batch }, expiresAt: { gt: now }, weight: { gt: 0 } },
+      select: { segmentId: true, type: true, weight: true, createdAt: true, expiresAt: true },
+    });
+
+    const bySegment = new Map();
+    for (const vibe of vibes) {
+      if (!bySegment.has(vibe.segmentId)) bySegment.set(vibe.segmentId, []);
+      bySegment.get(vibe.segmentId).push(vibe);
+    }
+
+    // updateMany so a cluster compacted in the meantime is skipped rather than an error
+    const results = await prisma.$transaction(batch.map((segmentId) => {
+      const data = toClusterData(summarizeVibes(bySegment.get(segmentId) || [], now), now);
+      return prisma.vibeCluster.updateMany({
+        where: { segmentId, lastUpdated: { lte: data.lastUpdated } },
+        data,
+      });
+    }));
+    refreshed += results.reduce((sum, result) => sum + result.count, 0);
+  }
+
+  lastRefreshAt = now;
+  return refreshed;
+}
+
+module.exports = {
+  VIBE_TYPES,
+  recomputeCluster,
+  refreshLiveClusters,
+};
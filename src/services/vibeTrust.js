@@ -0,0 +1,152 @@
+/**
+ * Vibe Trust
+ *
+ * Plausibility checks on each submitted vibe and a per-device reputation.
+ * A vibe's weight in its cluster is the device's reputation times a factor
+ * from the checks; a weight of 0 shadow-discards it (the submitter still
+ * sees it in their own history, but nobody else's map does).
+ *
+ * Checks:
+ *   - teleport: moved from the previous vibe faster than a car can drive
+ *   - off_road: far from any road; repeating the same type off-road discards it
+ *   - contradictory_burst: many recent vibes on the segment disagree with it
+ *
+ * Reputation drops on teleports and repeated off-road vibes and slowly
+ * recovers with clean submissions. Bursts lower the weight but not the
+ * reputation, since there's no telling which side is right.
+ */
+
+const prisma = require('../utils/prisma');
+const { getDistanceKm } = require('../utils/geo');
+
+// Faster than this between two vibes is not driving
+const MAX_PLAUSIBLE_SPEED_KMH = 250;
+// Moves shorter than this are GPS noise, whatever the implied speed
+const MIN_TELEPORT_KM = 2;
+
+// Off-road vibes are down-weighted; this many in a row of the same type are discarded
+const OFF_ROAD_WEIGHT = 0.5;
+const MAX_OFF_ROAD_STREAK = 3;
+
+// A burst is this many other vibes on the segment within the window...
+const BURST_WINDOW_MINUTES = 2;
+const BURST_MIN_VIBES = 4;
+// ...at least this share of which contradict the new one
+const BURST_CONTRADICTION_SHARE = 0.4;
+const BURST_WEIGHT = 0.5;
+// Traffic flow levels; vibes two or more levels apart contradict each other
+const FLOW_LEVELS = { smooth: 0, slowdown: 1, heavy: 2, deadlock: 3 };
+
+// Reputation is 0-1
+const TELEPORT_PENALTY = 0.3;
+const OFF_ROAD_PENALTY = 0.2;
+const CLEAN_RECOVERY = 0.02;
+// Below this every vibe from the device is discarded
+const MIN_REPUTATION = 0.2;
+
+function contradicts(typeA, typeB) {
+  if (!(typeA in FLOW_LEVELS) || !(typeB in FLOW_LEVELS)) return false;
+  return Math.abs(FLOW_LEVELS[typeA] - FLOW_LEVELS[typeB]) >= 2;
+}
+
+/**
+ * Implied speed from the device's previous vibe, or null without one
+ */
+function getImpliedSpeedKmh(device, lat, lng, now) {
+  if (device.lastLatitude === null || device.lastLongitude === null || !device.lastVibeAt) {
+    return null;
+  }
+
+  const distanceKm = getDistanceKm(device.lastLatitude, device.lastLongitude, lat, lng);
+  if (distanceKm < MIN_TELEPORT_KM) return null;
+
+  const hours = Math.max(now - device.lastVibeAt, 1000) / (60 * 60 * 1000);
+  return distanceKm / hours;
+}
+
+/**
+ * Whether the new vibe lands in a burst of vibes that contradict it
+ */
+async function isContradictoryBurst(device, type, segmentId, now) {
+  if (!(type in FLOW_LEVELS)) return false;
+
+  const recent = await prisma.vibe.findMany({
+    where: {
+      segmentId,
+      anonymousId: { not: device.id },
+      weight: { gt: 0 },
+      createdAt: { gte: new Date(now.getTime() - BURST_WINDOW_MINUTES * 60 * 1000) },
+    },
+    select: { type: true },
+  });
+  if (recent.length < BURST_MIN_VIBES) return false;
+
+  const contradicting = recent.filter((vibe) => contradicts(type, vibe.type)).length;
+  return contradicting / recent.length >= BURST_CONTRADICTION_SHARE;
+}
+
+/**
+ * Check a vibe before it is stored
+ * @param {object} device - The submitting VibeDevice
+ * @param {object} vibe - { type, lat, lng }
+ * @param {object} segment - Resolved road segment (see roadSegments.resolveSegment)
+ * @param {string} segmentId - Cluster the vibe joins
+ * @param {Date} now
+ * @returns {Promise<object>} { weight, flags, device } - device holds the VibeDevice fields to update
+ */
+async function assessVibe(device, { type, lat, lng }, segment, segmentId, now = new Date()) {
+  const flags = [];
+  let factor = 1;
+  let reputation = device.reputation;
+
+  const speedKmh = getImpliedSpeedKmh(device, lat, lng, now);
+  if (speedKmh !== null && speedKmh > MAX_PLAUSIBLE_SPEED_KMH) {
+    flags.push('teleport');
+    factor = 0;
+    reputation -= TELEPORT_PENALTY;
+  }
+
+  // Consecutive off-road vibes of the same type (an unknown road status keeps the streak as is)
+  let offRoadStreak = device.offRoadStreak;
+  if (segment.offRoad === true) {
+    offRoadStreak = device.lastVibeType === type ? offRoadStreak + 1 : 1;
+    flags.push('off_road');
+    if (offRoadStreak >= MAX_OFF_ROAD_STREAK) {
+      factor = 0;
+      reputation -= OFF_ROAD_PENALTY;
+    } else {
+      factor *= OFF_ROAD_WEIGHT;
+    }
+  } else if (segment.offRoad === false) {
+    offRoadStreak = 0;
+  }
+
+  if (factor > 0 && (await isContradictoryBurst(device, type, segmentId, now))) {
+    flags.push('contradictory_burst');
+    factor *= BURST_WEIGHT;
+  }
+
+  if (flags.length === 0) {
+    reputation += CLEAN_RECOVERY;
+  }
+  reputation = Math.round(Math.max(0, Math.min(1, reputation)) * 100) / 100;
+
+  const weight = reputation < MIN_REPUTATION ? 0 : Math.round(factor * reputation * 100) / 100;
+
+  return {
+    weight,
+    flags,
+    device: {
+      reputation,
+      offRoadStreak,
+      lastLatitude: lat,
+      lastLongitude: lng,
+      lastVibeAt: now,
+      lastVibeType: type,
+    },
+  };
+}
+
+module.exports = {
+  assessVibe,
+};
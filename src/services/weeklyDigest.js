@@ -0,0 +1,147 @@
+/**
+ * Weekly Digest
+ *
+ * Builds a user's weekly traffic report from their Trip rows. Used by the
+ * weekly digest job (push summary) and GET /api/trips/digest (full report).
+ * Weeks run Monday to Monday in the user's timezone.
+ */
+
+const prisma = require('../utils/prisma');
+const { DEFAULT_TIMEZONE, localToUtc, addDays, getWeekStart } = require('../utils/time');
+
+// Score changes smaller than this count as flat
+const SCORE_TREND_THRESHOLD = 2;
+
+const tripSummarySelect = {
+  id: true,
+  originName: true,
+  destinationName: true,
+  departureTime: true,
+  durationSeconds: true,
+  delaySeconds: true,
+  tripScore: true,
+};
+
+/**
+ * Instant range of the week starting on a local Monday
+ * @param {string} weekStart - Local date "YYYY-MM-DD" (a Monday)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {object} { start, end }
+ */
+function getWeekRange(weekStart, timeZone) {
+  return {
+    start: localToUtc(weekStart, '00:00', timeZone),
+    end: localToUtc(addDays(weekStart, 7), '00:00', timeZone),
+  };
+}
+
+/**
+ * Local Monday of the last fully completed week
+ */
+function getLastCompletedWeekStart(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  return addDays(getWeekStart(now, timeZone), -7);
+}
+
+/**
+ * Format a trip for the digest
+ */
+function formatTrip(trip) {
+  if (!trip) return null;
+
+  return {
+    id: trip.id,
+    originName: trip.originName,
+    destinationName: trip.destinationName,
+    departureTime: trip.departureTime,
+    durationMinutes: Math.round(trip.durationSeconds / 60),
+    delayMinutes: Math.round(trip.delaySeconds / 60),
+    tripScore: trip.tripScore,
+  };
+}
+
+/**
+ * Build the digest for one user and week
+ * @param {string} userId - User id
+ * @param {object} options
+ * @param {string} options.weekStart - Local Monday "YYYY-MM-DD" (defaults to last completed week)
+ * @param {string} options.timeZone - IANA timezone name
+ * @returns {Promise<object>} Digest
+ */
+async function buildWeeklyDigest(userId, options = {}) {
+  const timeZone = options.timeZone || DEFAULT_TIMEZONE;
+  const weekStart = options.weekStart || getLastCompletedWeekStart(timeZone);
+
+  const week = getWeekRange(weekStart, timeZone);
+  const previousWeek = getWeekRange(addDays(weekStart, -7), timeZone);
+
+  const weekWhere = { userId, departureTime: { gte: week.start, lt: week.end } };
+
+  const [totals, previousTotals, best, worst] = await Promise.all([
+    prisma.trip.aggregate({
+      where: weekWhere,
+      _count: { _all: true },
+      _sum: {
+        distanceMeters: true,
+        durationSeconds: true,
+        delaySeconds: true,
+        timeSavedSeconds: true,
+      },
+      _avg: { tripScore: true },
+    }),
+    prisma.trip.aggregate({
+      where: { userId, departureTime: { gte: previousWeek.start, lt: previousWeek.end } },
+      _count: { _all: true },
+      _avg: { tripScore: true },
+    }),
+    prisma.trip.findFirst({
+      where: weekWhere,
+      orderBy: [{ delaySeconds: 'asc' }, { durationSeconds: 'asc' }],
+      select: tripSummarySelect,
+    }),
+    prisma.trip.findFirst({
+      where: weekWhere,
+      orderBy: [{ delaySeconds: 'desc' }, { durationSeconds: 'desc' }],
+      select: tripSummarySelect,
+    }),
+  ]);
+
+  // _avg is null when no trip in the range has a score
+  const averageScore = totals._avg.tripScore !== null ? Math.round(totals._avg.tripScore) : null;
+  const previousAverageScore = previousTotals._avg.tripScore !== null
+    ? Math.round(previousTotals._avg.tripScore)
+    : null;
+
+  let scoreTrend = null;
+  if (averageScore !== null && previousAverageScore !== null) {
+    const change = averageScore - previousAverageScore;
+    scoreTrend = {
+      change,
+      direction: change >= SCORE_TREND_THRESHOLD ? 'up' : change <= -SCORE_TREND_THRESHOLD ? 'down' : 'flat',
+    };
+  }
+
+  const totalTrips = totals._count._all;
+
+  return {
+    weekStart,
+    periodStart: week.start,
+    periodEnd: week.end,
+    totalTrips,
+    totalDistanceKm: Math.round((totals._sum.distanceMeters || 0) / 1000),
+    totalDurationMinutes: Math.round((totals._sum.durationSeconds || 0) / 60),
+    totalDelayMinutes: Math.round((totals._sum.delaySeconds || 0) / 60),
+    timeSavedMinutes: Math.round((totals._sum.timeSavedSeconds || 0) / 60),
+    bestCommute: totalTrips > 0 ? formatTrip(best) : null,
+    // Only worth calling out a worst commute when there is something to compare
+    worstCommute: totalTrips > 1 ? formatTrip(worst) : null,
+    averageScore,
+    previousAverageScore,
+    previousWeekTrips: previousTotals._count._all,
+    scoreTrend,
+  };
+}
+
+module.exports = {
+  buildWeeklyDigest,
+  getLastCompletedWeekStart,
+};
@@ -12,6 +12,10 @@
 const { getFlashModel, CHAT_GENERATION_CONFIG } = require('../config/gemini');
 const tomtom = require('../utils/tomtom');
 const googlePlaces = require('../utils/googlePlaces');
+const { ROUTE_TYPES, resolveRouteOptions, getRouteParams, planArriveBy } = require('./routing');
+const { estimateRouteTolls } = require('./tolls');
+const { getCommunityContext } = require('./communityRisk');
+const { getRoutePoints } = require('../utils/geo');
 const logger = require('../utils/logger');
 
 // System prompt for Yalla personality
@@ -59,7 +63,7 @@ const TRAFFIC_TOOLS = [
   },
   {
     name: 'calculate_routes',
-    description: 'Calculate driving routes between two points. Returns multiple route options with traffic-aware ETAs, distances, and delay information.',
+    description: 'Calculate driving routes between two points. Returns multiple route options with traffic-aware ETAs, distances, delay information, Salik toll gates/cost and community reports (incidents and vibes) along each route. Follows the user\'s saved route preferences unless they ask otherwise.',
     parameters: {
       type: 'object',
       properties: {
@@ -78,6 +82,19 @@ const TRAFFIC_TOOLS = [
         destLon: {
           type: 'number',
           description: 'Destination longitude'
+        },
+        routeType: {
+          type: 'string',
+          enum: ROUTE_TYPES,
+          description: 'Only set when the user asks for it: fastest, shortest or eco'
+        },
+        avoidTolls: {
+          type: 'boolean',
+          description: 'Only set when the user asks to avoid or allow Salik/toll roads'
+        },
+        avoidHighways: {
+          type: 'boolean',
+          description: 'Only set when the user asks to avoid or allow highways'
         }
       },
       required: ['originLat', 'originLon', 'destLat', 'destLon']
@@ -103,7 +120,7 @@ const TRAFFIC_TOOLS = [
   },
   {
     name: 'get_departure_times',
-    description: 'Calculate optimal departure times by comparing ETAs at different times (now, +30min, +1hr, +2hr). Use this when user asks "when should I leave" or "best time to go".',
+    description: 'Calculate optimal departure times by comparing ETAs at different times (now, +30min, +1hr, +2hr). Use this when user asks "when should I leave" or "best time to go". If the user needs to arrive by a certain time, pass arriveBy to get the latest safe departure time with a safety buffer.',
     parameters: {
       type: 'object',
       properties: {
@@ -122,6 +139,10 @@ const TRAFFIC_TOOLS = [
         destLon: {
           type: 'number',
           description: 'Destination longitude'
+        },
+        arriveBy: {
+          type: 'string',
+          description: 'Optional target arrival time (ISO 8601 with timezone, Dubai is +04:00)'
         }
       },
       required: ['originLat', 'originLon', 'destLat', 'destLon']
@@ -181,15 +202,17 @@ const toolExecutors = {
     }
   },
 
-  async calculate_routes({ originLat, originLon, destLat, destLon }) {
+  async calculate_routes({ originLat, originLon, destLat, destLon, routeType, avoidTolls, avoidHighways }, context = {}) {
     try {
       logger.info(`[YallaChat] Calculating routes from ${originLat},${originLon} to ${destLat},${destLon}`);
 
+      const routeOptions = resolveRouteOptions(context.preferences, { routeType, avoidTolls, avoidHighways });
+
       const response = await tomtom.get(
         `/routing/1/calculateRoute/${originLat},${originLon}:${destLat},${destLon}/json`,
         {
           params: {
-            routeType: 'fastest',
+            ...getRouteParams(routeOptions),
             traffic: true,
             travelMode: 'car',
             maxAlternatives: 2,
@@ -204,17 +227,32 @@ const toolExecutors = {
         return { error: 'No routes found' };
       }
 
+      let community = [];
+      try {
+        community = await getCommunityContext(routes.map(getRoutePoints));
+      } catch (error) {
+        logger.warn(`[YallaChat] Community risk lookup failed: ${error.message}`);
+      }
+
       // Format routes for AI consumption
-      const formattedRoutes = routes.map((r, i) => ({
-        routeNumber: i + 1,
-        durationMinutes: Math.round(r.summary.travelTimeInSeconds / 60),
-        distanceKm: (r.summary.lengthInMeters / 1000).toFixed(1),
-        trafficDelayMinutes: Math.round((r.summary.trafficDelayInSeconds || 0) / 60),
-        arrivalTime: r.summary.arrivalTime,
-      }));
+      const formattedRoutes = routes.map((r, i) => {
+        const tolls = estimateRouteTolls(r);
+        const risk = community[i]?.risk;
+        return {
+          routeNumber: i + 1,
+          durationMinutes: Math.round(r.summary.travelTimeInSeconds / 60),
+          distanceKm: (r.summary.lengthInMeters / 1000).toFixed(1),
+          trafficDelayMinutes: Math.round((r.summary.trafficDelayInSeconds || 0) / 60),
+          arrivalTime: r.summary.arrivalTime,
+          salikGates: tolls.gates.map((g) => g.name),
+          salikCostAed: tolls.estimatedCostAed,
+          communityRisk: risk ? risk.level : 'unknown',
+          communityReports: risk ? risk.summary : null,
+        };
+      });
 
       logger.info(`[YallaChat] Found ${formattedRoutes.length} routes`);
-      return { routes: formattedRoutes };
+      return { routes: formattedRoutes, routeOptions };
     } catch (error) {
       logger.error(`[YallaChat] calculate_routes error: ${error.message}`);
       return { error: error.message };
@@ -266,11 +304,39 @@ const toolExecutors = {
     }
   },
 
-  async get_departure_times({ originLat, originLon, destLat, destLon }) {
+  async get_departure_times({ originLat, originLon, destLat, destLon, arriveBy }, context = {}) {
     try {
       logger.info(`[YallaChat] Calculating departure times`);
 
+      if (arriveBy) {
+        const target = new Date(arriveBy);
+        if (isNaN(target.getTime()) || target <= new Date()) {
+          return { error: 'arriveBy must be a future time' };
+        }
+
+        const plan = await planArriveBy(
+          { lat: originLat, lng: originLon },
+          { lat: destLat, lng: destLon },
+          target,
+          { routeOptions: resolveRouteOptions(context.preferences) }
+        );
+
+        return {
+          arriveBy: plan.arriveBy.toISOString(),
+          onTime: plan.onTime,
+          recommendedDeparture: plan.recommendedDeparture.toISOString(),
+          latestDeparture: plan.latestDeparture?.toISOString() || null,
+          leaveNow: plan.leaveNow,
+          durationMinutes: Math.round(plan.travelTimeSeconds / 60),
+          trafficDelayMinutes: Math.round(plan.delaySeconds / 60),
+          lateByMinutes: plan.lateByMinutes,
+          bufferExplanation: plan.buffer?.explanation,
+          confidence: plan.confidence,
+        };
+      }
+
       const offsets = [0, 30, 60, 120]; // minutes
+      const routeParams = getRouteParams(resolveRouteOptions(context.preferences));
       const results = [];
 
       for (const offset of offsets) {
@@ -281,7 +347,7 @@ const toolExecutors = {
             `/routing/1/calculateRoute/${originLat},${originLon}:${destLat},${destLon}/json`,
             {
               params: {
-                routeType: 'fastest',
+                ...routeParams,
                 traffic: true,
                 travelMode: 'car',
                 departAt: departAt.toISOString(),
@@ -414,7 +480,7 @@ function getMagnitudeLabel(magnitude) {
  * Process a chat message and return AI response
  */
 async function chat(message, context = {}) {
-  const { userLocation, conversationHistory = [] } = context;
+  const { userLocation, conversationHistory = [], preferences } = context;
 
   try {
     logger.info(`[YallaChat] Processing message: "${message.substring(0, 50)}..."`);
@@ -473,7 +539,7 @@ async function chat(message, context = {}) {
         // Execute the tool
         const executor = toolExecutors[name];
         if (executor) {
-          const result = await executor(args);
+          const result = await executor(args, { preferences });
           logger.info(`[YallaChat] Tool ${name} result:`, { result });
 
           // Send function result back to model
@@ -19,6 +19,12 @@ const caches = {
 
   // Road names - very long TTL (24 hours) since street names rarely change
   roadNames: new NodeCache({ stdTTL: 86400, checkperiod: 3600 }),
+
+  // Road segments vibes snap to - very long TTL (24 hours), same reason
+  roadSegments: new NodeCache({ stdTTL: 86400, checkperiod: 3600 }),
+
+  // Route geometry for watched commutes - long TTL (6 hours) since the path rarely changes
+  routeGeometry: new NodeCache({ stdTTL: 21600, checkperiod: 3600 }),
 };
 
 /**
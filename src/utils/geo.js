@@ -0,0 +1,203 @@
+const EARTH_RADIUS_KM = 6371;
+
+function toRad(deg) {
+  return deg * (Math.PI / 180);
+}
+
+/**
+ * Calculate distance between two points in km (Haversine formula)
+ */
+function getDistanceKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+}
+
+/**
+ * Check that a value is a usable coordinate pair
+ */
+function isValidCoordinate(lat, lng) {
+  return (
+    typeof lat === 'number' && typeof lng === 'number' &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180
+  );
+}
+
+/**
+ * Distance from a point to a polyline in meters
+ * Uses a local equirectangular projection, which is accurate at city scale
+ * @param {object} point - { lat, lng }
+ * @param {Array<object>} points - Polyline vertices [{ lat, lng }]
+ * @returns {number} Distance in meters (Infinity for an empty polyline)
+ */
+function distanceToPolylineMeters(point, points) {
+  if (!points || points.length === 0) return Infinity;
+  if (points.length === 1) {
+    return getDistanceKm(point.lat, point.lng, points[0].lat, points[0].lng) * 1000;
+  }
+
+  const metersPerDegLat = (Math.PI * EARTH_RADIUS_KM * 1000) / 180;
+  const metersPerDegLng = metersPerDegLat * Math.cos(toRad(point.lat));
+  const project = (p) => ({
+    x: (p.lng - point.lng) * metersPerDegLng,
+    y: (p.lat - point.lat) * metersPerDegLat,
+  });
+
+  let min = Infinity;
+  let a = project(points[0]);
+  for (let i = 1; i < points.length; i++) {
+    const b = project(points[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+
+    // Closest point on segment a-b to the origin (the query point)
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq)) : 0;
+    const x = a.x + t * dx;
+    const y = a.y + t * dy;
+    min = Math.min(min, Math.sqrt(x * x + y * y));
+
+    a = b;
+  }
+
+  return min;
+}
+
+/**
+ * Check whether a point lies inside the box spanned by other points, expanded by a margin
+ * @param {object} point - { lat, lng }
+ * @param {Array<object>} corners - Points spanning the box [{ lat, lng }]
+ * @param {number} marginKm - Margin added on every side
+ * @returns {boolean}
+ */
+function isWithinBounds(point, corners, marginKm) {
+  const latMargin = marginKm / 111; // ~111km per degree of latitude
+  const lngMargin = marginKm / (111 * Math.cos(toRad(point.lat)));
+
+  const lats = corners.map((c) => c.lat);
+  const lngs = corners.map((c) => c.lng);
+
+  return (
+    point.lat >= Math.min(...lats) - latMargin &&
+    point.lat <= Math.max(...lats) + latMargin &&
+    point.lng >= Math.min(...lngs) - lngMargin &&
+    point.lng <= Math.max(...lngs) + lngMargin
+  );
+}
+
+/**
+ * Bounding box of a set of points, expanded by a margin
+ * @param {Array<object>} points - [{ lat, lng }]
+ * @param {number} marginKm - Margin added on every side
+ * @returns {object} { minLat, maxLat, minLng, maxLng }
+ */
+function getBounds(points, marginKm = 0) {
+  const lats = points.map((p) => p.lat);
+  const lngs = points.map((p) => p.lng);
+  const minLat = Math.min(...lats);
+  const maxLat = Math.max(...lats);
+  const latMargin = marginKm / 111;
+  // Widest longitude margin is at the latitude furthest from the equator
+  const lngMargin = marginKm / (111 * Math.cos(toRad(Math.max(Math.abs(minLat), Math.abs(maxLat)))));
+
+  return {
+    minLat: minLat - latMargin,
+    maxLat: maxLat + latMargin,
+    minLng: Math.min(...lngs) - lngMargin,
+    maxLng: Math.max(...lngs) + lngMargin,
+  };
+}
+
+/**
+ * Flatten the leg points of a TomTom calculateRoute route
+ * @param {object} route - Route from response.data.routes
+ * @returns {Array<object>} [{ lat, lng }]
+ */
+function getRoutePoints(route) {
+  return (route?.legs || [])
+    .flatMap((leg) => leg.points || [])
+    .map((p) => ({ lat: p.latitude, lng: p.longitude }));
+}
+
+/**
+ * Decode an encoded polyline (Google polyline algorithm)
+ * @param {string} encoded - Encoded polyline
+ * @param {number} precision - Decimal places encoded (5 for Google/Apple, 6 for polyline6)
+ * @returns {Array<object>} [{ lat, lng }]
+ */
+function decodePolyline(encoded, precision = 5) {
+  const factor = Math.pow(10, precision);
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    points.push({ lat: lat / factor, lng: lng / factor });
+  }
+
+  return points;
+}
+
+/**
+ * Encode points as a polyline (Google polyline algorithm), the inverse of decodePolyline
+ * @param {Array<object>} points - [{ lat, lng }]
+ * @param {number} precision - Decimal places to encode
+ * @returns {string} Encoded polyline
+ */
+function encodePolyline(points, precision = 5) {
+  const factor = Math.pow(10, precision);
+  let encoded = '';
+  let prevLat = 0;
+  let prevLng = 0;
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  for (const point of points) {
+    const lat = Math.round(point.lat * factor);
+    const lng = Math.round(point.lng * factor);
+    encoded += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+  }
+
+  return encoded;
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  getDistanceKm,
+  decodePolyline,
+  encodePolyline,
+  getRoutePoints,
+  isValidCoordinate,
+  distanceToPolylineMeters,
+  isWithinBounds,
+  getBounds,
+};
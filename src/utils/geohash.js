@@ -0,0 +1,176 @@
+/**
+ * Geohash
+ *
+ * Standard geohash encoding (base32, interleaved longitude/latitude bits)
+ * and the cell prefixes covering a radius, for prefix queries on indexed
+ * geohash columns.
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const KM_PER_DEGREE_LAT = 111.32;
+const MAX_PRECISION = 12;
+// Length stored in the geohash columns (vibes and vibe clusters), ~150m cells
+const STORED_PRECISION = 7;
+
+/**
+ * Encode a coordinate as a geohash
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} precision - Number of characters (1-12)
+ * @returns {string}
+ */
+function encode(lat, lng, precision) {
+  let latMin = -90;
+  let latMax = 90;
+  let lngMin = -180;
+  let lngMax = 180;
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (lngMin + lngMax) / 2;
+      if (lng >= mid) {
+        value = value * 2 + 1;
+        lngMin = mid;
+      } else {
+        value *= 2;
+        lngMax = mid;
+      }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (lat >= mid) {
+        value = value * 2 + 1;
+        latMin = mid;
+      } else {
+        value *= 2;
+        latMax = mid;
+      }
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Centre of a geohash cell
+ * @param {string} hash
+ * @returns {object} { lat, lng }
+ */
+function decodeCenter(hash) {
+  let latMin = -90;
+  let latMax = 90;
+  let lngMin = -180;
+  let lngMax = 180;
+  let evenBit = true;
+
+  for (const char of hash) {
+    const value = BASE32.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      const isSet = (value >> bit) & 1;
+      if (evenBit) {
+        const mid = (lngMin + lngMax) / 2;
+        if (isSet) lngMin = mid;
+        else lngMax = mid;
+      } else {
+        const mid = (latMin + latMax) / 2;
+        if (isSet) latMin = mid;
+        else latMax = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return { lat: (latMin + latMax) / 2, lng: (lngMin + lngMax) / 2 };
+}
+
+/**
+ * Size of a cell in degrees at a precision
+ * @returns {object} { latDegrees, lngDegrees }
+ */
+function getCellSize(precision) {
+  const totalBits = precision * 5;
+  const lngBits = Math.ceil(totalBits / 2);
+  const latBits = Math.floor(totalBits / 2);
+  return {
+    latDegrees: 180 / Math.pow(2, latBits),
+    lngDegrees: 360 / Math.pow(2, lngBits),
+  };
+}
+
+/**
+ * Geohash prefixes whose cells together cover a circle
+ * Picks the finest precision whose cells are at least as large as the radius,
+ * so the cell containing the center and its 8 neighbours cover the whole circle
+ * @param {number} lat - Center latitude
+ * @param {number} lng - Center longitude
+ * @param {number} radiusKm
+ * @param {number} maxPrecision - Finest precision stored in the column
+ * @returns {Array<string>} Distinct prefixes (up to 9)
+ */
+function getCoveringPrefixes(lat, lng, radiusKm, maxPrecision = MAX_PRECISION) {
+  const latRadius = radiusKm / KM_PER_DEGREE_LAT;
+  const lngRadius = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+
+  let precision = 1;
+  for (let p = maxPrecision; p >= 1; p--) {
+    const { latDegrees, lngDegrees } = getCellSize(p);
+    if (latDegrees >= latRadius && lngDegrees >= lngRadius) {
+      precision = p;
+      break;
+    }
+  }
+
+  // Sample the center cell and one cell over in every direction
+  const { latDegrees, lngDegrees } = getCellSize(precision);
+  const prefixes = new Set();
+  for (const dLat of [-1, 0, 1]) {
+    for (const dLng of [-1, 0, 1]) {
+      const cellLat = lat + dLat * latDegrees;
+      if (cellLat < -90 || cellLat > 90) continue;
+      // Wrap across the antimeridian
+      const cellLng = ((lng + dLng * lngDegrees + 540) % 360) - 180;
+      prefixes.add(encode(cellLat, cellLng, precision));
+    }
+  }
+
+  return [...prefixes];
+}
+
+/**
+ * Range of hashes starting with a prefix, for matching it with plain comparisons
+ * Hashes only use the base32 alphanumerics, which sort the same under any
+ * collation, so the range can use an ordinary index where LIKE 'prefix%' can't.
+ * @param {string} prefix
+ * @returns {object} { from, to } - from inclusive, to exclusive (null when unbounded)
+ */
+function getPrefixRange(prefix) {
+  // Next prefix of the same or shorter length, carrying past trailing "z"s
+  let end = prefix;
+  while (end.length > 0 && end[end.length - 1] === BASE32[BASE32.length - 1]) {
+    end = end.slice(0, -1);
+  }
+  const to = end.length > 0
+    ? end.slice(0, -1) + BASE32[BASE32.indexOf(end[end.length - 1]) + 1]
+    : null;
+
+  return { from: prefix, to };
+}
+
+module.exports = {
+  STORED_PRECISION,
+  encode,
+  decodeCenter,
+  getCellSize,
+  getCoveringPrefixes,
+  getPrefixRange,
+};
@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+/**
+ * Hash a client IP address so requests can be told apart per network without storing it
+ * Used for anonymous incident votes and for counting vibe devices per network
+ * @param {string} ip - Client IP (req.ip, which honours the trust proxy setting)
+ * @returns {string}
+ */
+function hashIp(ip) {
+  return crypto.createHash('sha256').update(ip + (process.env.IP_SALT || 'yalla')).digest('hex').slice(0, 16);
+}
+
+module.exports = { hashIp };
@@ -0,0 +1,53 @@
+const logger = require('./logger');
+
+// Active interval handles by job name
+const timers = new Map();
+
+/**
+ * Run an async job on a fixed interval
+ * A tick is skipped while the previous run is still in flight, so slow runs never overlap
+ * @param {string} name - Job name (used in logs)
+ * @param {number} intervalMs - Time between runs in milliseconds
+ * @param {Function} fn - Async job body
+ */
+function schedule(name, intervalMs, fn) {
+  if (timers.has(name)) {
+    throw new Error(`Job already scheduled: ${name}`);
+  }
+
+  let running = false;
+
+  const tick = async () => {
+    if (running) {
+      logger.warn(`[Jobs] ${name} still running - skipping tick`);
+      return;
+    }
+
+    running = true;
+    try {
+      await fn();
+    } catch (error) {
+      logger.error(`[Jobs] ${name} failed: ${error.message}`, { stack: error.stack });
+    } finally {
+      running = false;
+    }
+  };
+
+  timers.set(name, setInterval(tick, intervalMs));
+  logger.info(`[Jobs] ${name} scheduled every ${Math.round(intervalMs / 1000)}s`);
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+function stopAll() {
+  for (const timer of timers.values()) {
+    clearInterval(timer);
+  }
+  timers.clear();
+}
+
+module.exports = {
+  schedule,
+  stopAll,
+};
@@ -0,0 +1,111 @@
+// Default timezone for users who haven't set one (UAE has no DST)
+const DEFAULT_TIMEZONE = 'Asia/Dubai';
+
+/**
+ * Check that a string is a valid IANA timezone name
+ * @param {string} timeZone - e.g. "Asia/Dubai"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of a date in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone name
+ * @returns {object} { year, month, day, hour, minute, weekday, date } - weekday 0 = Sunday, date is "YYYY-MM-DD"
+ */
+function getLocalParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+  });
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: weekdays.indexOf(parts.weekday),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function getOffsetMs(date, timeZone) {
+  const p = getLocalParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a local date and time in a timezone to a UTC instant
+ * @param {string} date - Local date "YYYY-MM-DD"
+ * @param {string} time - Local time "HH:mm"
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date}
+ */
+function localToUtc(date, time, timeZone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Re-check the offset at the result in case it crossed a DST change
+  const first = guess - getOffsetMs(new Date(guess), timeZone);
+  return new Date(guess - getOffsetMs(new Date(first), timeZone));
+}
+
+/**
+ * Add days to a local "YYYY-MM-DD" date
+ * @param {string} date - Local date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Local date
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Local date of the Monday starting the week that contains an instant
+ * @param {Date} date - Instant inside the week
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Local date "YYYY-MM-DD"
+ */
+function getWeekStart(date, timeZone = DEFAULT_TIMEZONE) {
+  const local = getLocalParts(date, timeZone);
+  return addDays(local.date, -((local.weekday + 6) % 7));
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getLocalParts,
+  localToUtc,
+  addDays,
+  getWeekStart,
+};
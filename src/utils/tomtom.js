@@ -9,6 +9,8 @@ const TOMTOM_BASE_URL = 'https://api.tomtom.com';
 const tomtomClient = axios.create({
   baseURL: TOMTOM_BASE_URL,
   timeout: 10000,
+  // TomTom expects list params as repeated keys (avoid=tollRoads&avoid=motorways)
+  paramsSerializer: { indexes: null },
 });
 
 // Request interceptor - add API key